@@ -1,15 +1,32 @@
-import { isMainThread, workerData, parentPort } from "worker_threads";
+import { isMainThread, parentPort } from "worker_threads";
+import { checkWorkspace, warmUp } from "./src/checker";
+import { compile, type CompileResult } from "./src/compiler";
 
-async function compileCode(userId: string, code: string) {
-    
+export interface CompileJob {
+    id: number;
+    userId: string;
+    fileName: string;
+    code: string;
+}
+
+// `ready` is sent once, when the worker has warmed up and takes jobs.
+export type CompileReply = { id: number, result: CompileResult } | { id: number, error: string } | { ready: true };
+
+async function compileCode(userId: string, fileName: string, code: string): Promise<CompileResult> {
+    const { output } = compile(code, fileName);
+    return { output, diagnostics: checkWorkspace(userId) };
 }
 
 if (!isMainThread) {
-    parentPort!.once('message', async (idk: any) => {
+    warmUp();
+    parentPort!.postMessage({ ready: true } satisfies CompileReply);
+
+    parentPort!.on('message', async (job: CompileJob) => {
         try {
-            
+            const result = await compileCode(job.userId, job.fileName, job.code);
+            parentPort!.postMessage({ id: job.id, result } satisfies CompileReply);
         } catch (error) {
-            //TODO: Throw error and tell why compile broke.
+            parentPort!.postMessage({ id: job.id, error: `Compiling ${job.fileName} failed: ${(error as Error).message}` } satisfies CompileReply);
         }
     });
-}
\ No newline at end of file
+}
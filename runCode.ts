@@ -0,0 +1,9 @@
+import { isMainThread, parentPort, workerData } from "worker_threads";
+import { runProgram, type HeadlessJob, type HeadlessResult } from "./src/headless";
+
+if (!isMainThread) {
+    const { job, timeout } = workerData as { job: HeadlessJob, timeout: number };
+    runProgram(job, timeout).then((result) => parentPort!.postMessage(result), (error) => {
+        parentPort!.postMessage({ output: "", operations: [], error: String(error) } satisfies HeadlessResult);
+    });
+}
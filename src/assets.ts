@@ -0,0 +1,76 @@
+import { mkdir, readdir, rm, stat } from "fs/promises";
+
+// Images a program loads with image() or new Sprite(), kept where the preview can fetch them.
+const assetFolder = "assets";
+const assetPattern = /^[\w-]+\.(png|jpe?g|gif|webp)$/;
+
+const maxAssetSize = 2 * 1024 * 1024;
+const maxWorkspaceAssetSize = 20 * 1024 * 1024;
+
+export interface Asset {
+    name: string;
+    /** Relative to index.html, as the program has to write it. */
+    path: string;
+    size: number;
+    modified: number;
+}
+
+// The functions below take the folder index.html is in, a workspace or an assignment.
+function assetsFolder(folder: string): string {
+    return `${folder}${assetFolder}/`;
+}
+
+/**
+ * Turns the name of an uploaded file into one that is safe in a URL, e.g.
+ * "Black Bishop.PNG" into "Black_Bishop.png".
+ */
+export function assetName(fileName: string): string {
+    const dot = fileName.lastIndexOf(".");
+    if (dot <= 0) return fileName;
+    return fileName.slice(0, dot).replace(/[^\w-]/g, "_") + fileName.slice(dot).toLowerCase();
+}
+
+export async function listAssets(root: string): Promise<Asset[]> {
+    const folder = assetsFolder(root);
+    const names = await readdir(folder).catch(() => [] as string[]);
+
+    const assets: Asset[] = [];
+    for (const name of names.filter((name) => assetPattern.test(name)).sort()) {
+        const stats = await stat(`${folder}${name}`);
+        assets.push({ name, path: `${assetFolder}/${name}`, size: stats.size, modified: stats.mtimeMs });
+    }
+    return assets;
+}
+
+/**
+ * Stores uploaded images, replacing assets with the same name. Nothing is
+ * stored unless all of them are allowed.
+ */
+export async function saveAssets(root: string, files: File[]) {
+    const current = await listAssets(root);
+    const names = files.map((file) => assetName(file.name));
+
+    let total = current.filter((asset) => !names.includes(asset.name)).reduce((sum, asset) => sum + asset.size, 0);
+    files.forEach((file, i) => {
+        if (!assetPattern.test(names[i]) || (file.type && !file.type.startsWith("image/"))) {
+            throw new Error(`'${file.name}' isn't a PNG, JPEG, GIF or WebP image`);
+        }
+        if (file.size > maxAssetSize) {
+            throw new Error(`'${file.name}' is larger than ${maxAssetSize / 1024 / 1024} MB`);
+        }
+        total += file.size;
+    });
+    if (total > maxWorkspaceAssetSize) {
+        throw new Error(`The assets of a workspace can't be larger than ${maxWorkspaceAssetSize / 1024 / 1024} MB together`);
+    }
+
+    await mkdir(assetsFolder(root), { recursive: true });
+    for (let i = 0; i < files.length; i++) {
+        await Bun.write(`${assetsFolder(root)}${names[i]}`, files[i]);
+    }
+}
+
+export async function deleteAsset(root: string, name: string) {
+    if (!assetPattern.test(name)) throw new Error(`'${name}' isn't an asset`);
+    await rm(`${assetsFolder(root)}${name}`, { force: true });
+}
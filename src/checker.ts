@@ -0,0 +1,132 @@
+import { readdirSync, readFileSync, statSync } from "fs";
+import ts from "typescript";
+import { compilerOptions, toDiagnostic, type Diagnostic } from "./compiler";
+import { workspaceFolder } from "./workspace";
+
+const templateFolder = `${import.meta.dir}/template/`;
+const balderPath = `${templateFolder}balder.js`;
+
+const checkerOptions: ts.CompilerOptions = {
+    ...compilerOptions,
+    moduleResolution: ts.ModuleResolutionKind.Bundler,
+    lib: ["lib.es2022.d.ts", "lib.dom.d.ts"],
+    types: [],
+    allowJs: true,
+    checkJs: false,
+    noEmit: true,
+    skipLibCheck: true,
+};
+
+// The preview loads every file as a module, but balder.js has to stay a global
+// script, so moduleDetection can't simply be forced for the whole program.
+const moduleMarker = "\nexport {};";
+
+// Language services are cached per workspace, so only what changed is checked again.
+const maxProjects = 32;
+
+const registry = ts.createDocumentRegistry();
+
+interface SourceVersion {
+    text: string;
+    version: number;
+}
+
+class Project {
+    files = new Map<string, SourceVersion>();
+    service: ts.LanguageService;
+
+    constructor(private folder: string) {
+        this.service = ts.createLanguageService({
+            getCompilationSettings: () => checkerOptions,
+            getScriptFileNames: () => [...this.files.keys(), balderPath],
+            getScriptVersion: (fileName) => {
+                if (fileName == balderPath) return String(statSync(balderPath).mtimeMs);
+                return String(this.files.get(fileName)?.version ?? 0);
+            },
+            getScriptSnapshot: (fileName) => {
+                const file = this.files.get(fileName);
+                if (file) return ts.ScriptSnapshot.fromString(file.text + moduleMarker);
+                if (!ts.sys.fileExists(fileName)) return undefined;
+                return ts.ScriptSnapshot.fromString(ts.sys.readFile(fileName)!);
+            },
+            getCurrentDirectory: () => this.folder,
+            getDefaultLibFileName: (options) => ts.getDefaultLibFilePath(options),
+            fileExists: ts.sys.fileExists,
+            readFile: ts.sys.readFile,
+            readDirectory: ts.sys.readDirectory,
+            directoryExists: ts.sys.directoryExists,
+            getDirectories: ts.sys.getDirectories,
+        }, registry);
+    }
+
+    sync() {
+        const names = readdirSync(this.folder).filter((name) => name.endsWith(".ts"));
+        const paths = names.map((name) => `${this.folder}${name}`);
+
+        for (const path of this.files.keys()) {
+            if (!paths.includes(path)) this.files.delete(path);
+        }
+        for (const path of paths) {
+            const text = readFileSync(path, "utf8");
+            const file = this.files.get(path);
+            if (!file || file.text != text) {
+                this.files.set(path, { text, version: (file?.version ?? 0) + 1 });
+            }
+        }
+    }
+
+    diagnostics(): Diagnostic[] {
+        this.sync();
+        const diagnostics: Diagnostic[] = [];
+        for (const [path, file] of this.files) {
+            const found = [
+                ...this.service.getSyntacticDiagnostics(path),
+                ...this.service.getSemanticDiagnostics(path),
+            ];
+            for (const diagnostic of found) {
+                // Keep errors caused by the module marker inside the student's own text.
+                if (diagnostic.start != null) {
+                    const end = Math.min(diagnostic.start + (diagnostic.length ?? 0), file.text.length);
+                    diagnostic.start = Math.min(diagnostic.start, file.text.length);
+                    diagnostic.length = end - diagnostic.start;
+                }
+                diagnostics.push(toDiagnostic(diagnostic, path));
+            }
+        }
+        return diagnostics;
+    }
+}
+
+const projects = new Map<string, Project>();
+
+/**
+ * Type checks every TypeScript file in a workspace against the BalderJS
+ * globals and returns the syntax and semantic errors.
+ */
+export function checkWorkspace(workspaceId: string): Diagnostic[] {
+    let project = projects.get(workspaceId);
+    if (project) {
+        projects.delete(workspaceId);
+    } else {
+        project = new Project(workspaceFolder(workspaceId));
+    }
+    projects.set(workspaceId, project);
+
+    if (projects.size > maxProjects) {
+        const [oldest] = projects.keys();
+        projects.get(oldest)!.service.dispose();
+        projects.delete(oldest);
+    }
+
+    return project.diagnostics();
+}
+
+/**
+ * Loads the standard library and balder.js up front, so the first real
+ * check doesn't spend its time budget on that.
+ */
+export function warmUp() {
+    const project = new Project(templateFolder);
+    project.diagnostics();
+    project.service.dispose();
+}
@@ -0,0 +1,175 @@
+import { cp } from "fs/promises";
+import { saveAssets } from "./assets";
+import { compile } from "./compiler";
+import { storage } from "./storage";
+import { createWorkspace } from "./workspace";
+
+// The starting point of every student's workspace for an assignment, copied from the template.
+const assignmentRoot = `${import.meta.dir}/assignments`;
+const templateFolder = `${import.meta.dir}/template`;
+
+// Without 0/O and 1/I, so a code read off the board is typed right.
+const joinCodeAlphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export interface Teacher {
+    id: string;
+    name: string;
+}
+
+export interface Classroom {
+    id: string;
+    teacherId: string;
+    name: string;
+    joinCode: string;
+}
+
+export interface Student {
+    id: string;
+    classroomId: string;
+    name: string;
+}
+
+export interface Assignment {
+    id: string;
+    classroomId: string;
+    title: string;
+    /** Markdown. */
+    instructions: string;
+}
+
+/** Input for read(), one line each, and what write() has to write. */
+export interface TestCase {
+    name: string;
+    input: string;
+    output: string;
+}
+
+export interface Submission {
+    assignmentId: string;
+    studentId: string;
+    studentName: string;
+    workspaceId: string;
+}
+
+export function assignmentFolder(assignmentId: string): string {
+    return `${assignmentRoot}/${assignmentId}/`;
+}
+
+function assertName(name: string, what: string) {
+    if (name.trim().length == 0 || name.length > 60) throw new Error(`${what} has to be between 1 and 60 characters`);
+}
+
+export async function registerTeacher(name: string, password: string): Promise<Teacher> {
+    assertName(name, "The name");
+    if (password.length < 8) throw new Error("The password has to be at least 8 characters");
+    if (storage.findTeacher(name)) throw new Error(`There already is a teacher called ${name}`);
+
+    const teacher = { id: crypto.randomUUID(), name };
+    storage.addTeacher(teacher, await Bun.password.hash(password));
+    return teacher;
+}
+
+export async function loginTeacher(name: string, password: string): Promise<Teacher | undefined> {
+    const teacher = storage.findTeacher(name);
+    if (!teacher || !await Bun.password.verify(password, teacher.password)) return undefined;
+    return { id: teacher.id, name: teacher.name };
+}
+
+function joinCode(): string {
+    const bytes = crypto.getRandomValues(new Uint8Array(6));
+    return Array.from(bytes, (byte) => joinCodeAlphabet[byte % joinCodeAlphabet.length]).join("");
+}
+
+export function createClassroom(teacherId: string, name: string): Classroom {
+    assertName(name, "The name of the class");
+
+    let code = joinCode();
+    while (storage.findClassroom(code)) code = joinCode();
+
+    const classroom = { id: crypto.randomUUID(), teacherId, name, joinCode: code };
+    storage.addClassroom(classroom);
+    return classroom;
+}
+
+export function joinClassroom(code: string, name: string): Student {
+    assertName(name, "Your name");
+    const classroom = storage.findClassroom(code.trim().toUpperCase());
+    if (!classroom) throw new Error("There is no class with that code");
+
+    const student = { id: crypto.randomUUID(), classroomId: classroom.id, name };
+    storage.addStudent(student);
+    return student;
+}
+
+/**
+ * Publishes an assignment. The starter code becomes script.ts and the assets
+ * end up in assets/, as in any workspace. Test cases without a name are
+ * numbered.
+ */
+export async function createAssignment(classroomId: string, title: string, instructions: string, starterCode: string, assets: File[], tests: TestCase[] = []): Promise<Assignment> {
+    assertName(title, "The title");
+    tests = tests.map((test, i) => ({
+        name: test.name.trim() || `Test ${i + 1}`,
+        input: test.input.replace(/\r\n/g, "\n"),
+        output: test.output.replace(/\r\n/g, "\n"),
+    }));
+    for (const test of tests) assertName(test.name, "The name of a test");
+
+    const assignment = { id: crypto.randomUUID(), classroomId, title, instructions };
+    const folder = assignmentFolder(assignment.id);
+    await cp(templateFolder, folder, { recursive: true });
+    if (starterCode.trim()) {
+        await Bun.write(`${folder}script.ts`, starterCode);
+        await Bun.write(`${folder}script.js`, compile(starterCode, "script.ts").output);
+    }
+    if (assets.length > 0) await saveAssets(folder, assets);
+
+    storage.transaction(() => {
+        storage.addAssignment(assignment);
+        storage.addTestCases(assignment.id, tests);
+    });
+    return assignment;
+}
+
+/**
+ * Returns the student's workspace for an assignment, which is created from
+ * the assignment the first time.
+ */
+export async function startAssignment(assignment: Assignment, student: Student): Promise<Submission> {
+    const existing = storage.getSubmission(assignment.id, student.id);
+    if (existing) return existing;
+
+    const workspaceId = await createWorkspace(assignmentFolder(assignment.id));
+    const submission = { assignmentId: assignment.id, studentId: student.id, studentName: student.name, workspaceId };
+    storage.addSubmission(submission);
+    return submission;
+}
+
+/**
+ * Whether the teacher may see the work of a class.
+ */
+export function teaches(teacherId: string | undefined, classroomId: string): boolean {
+    return !!teacherId && storage.getClassroom(classroomId)?.teacherId == teacherId;
+}
+
+// What links of instructions may lead to, besides the site's own pages: nothing that runs a script, like `javascript:`.
+const linkProtocols = new Set(["http:", "https:", "mailto:"]);
+// Images are loaded by the page, whose content security policy only allows https ones from elsewhere.
+const imageProtocols = new Set(["https:"]);
+
+function isSafeUrl(attribute: string, protocols: Set<string>): boolean {
+    // The renderer escapes nothing but `&`, so any other reference in a URL is one the browser would decode into something else.
+    if (/&(?!amp;)/.test(attribute)) return false;
+    // Relative URLs get a host of their own, so `//host/` ones count as the other host's.
+    const url = URL.parse(attribute.replaceAll("&amp;", "&"), "https://relative.invalid/");
+    return !!url && (url.host == "relative.invalid" || protocols.has(url.protocol));
+}
+
+export function renderInstructions(markdown: string): string {
+    // Instructions are shown in the students' editors, so no HTML of their own.
+    const html = Bun.markdown.html(markdown, { noHtmlBlocks: true, noHtmlSpans: true });
+    return new HTMLRewriter()
+        .on("a[href]", { element(link) { if (!isSafeUrl(link.getAttribute("href")!, linkProtocols)) link.removeAttribute("href"); } })
+        .on("img[src]", { element(image) { if (!isSafeUrl(image.getAttribute("src")!, imageProtocols)) image.removeAttribute("src"); } })
+        .transform(html);
+}
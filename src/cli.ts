@@ -0,0 +1,107 @@
+import { existsSync } from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { balderPath } from "./declarations";
+import { unifiedDiff } from "./diff";
+import { bundle, runHeadless, type HeadlessJob } from "./headless";
+
+const usage = `Usage: bun run balder run <script.ts>... [options]
+
+Runs BalderJS programs without a browser, in a sandbox, and prints what they
+write.
+
+Options:
+  --input <file>      Lines for read(), otherwise stdin unless it is a terminal
+  --expected <file>   Compares the output with the file instead of printing it,
+                      and exits with 1 if any program wrote something else
+  --operations        Prints what is drawn as well, a JSON object per line
+  --frames <n>        Screen updates to run, 0 by default
+  --size <w>x<h>      Size of the canvas, 1024x768 by default
+  --timeout <ms>      Stops a program that runs longer, 10000 by default`;
+
+function fail(message: string): never {
+    console.error(`${message}\n\n${usage}`);
+    process.exit(2);
+}
+
+/**
+ * The balder.js next to the program, which is what its preview loads, or
+ * else the one of the template.
+ */
+async function balderFor(script: string): Promise<string> {
+    const local = path.join(path.dirname(script), "balder.js");
+    return Bun.file(existsSync(local) ? local : balderPath).text();
+}
+
+async function main(args: string[]): Promise<number> {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            input: { type: "string" },
+            expected: { type: "string" },
+            operations: { type: "boolean", default: false },
+            frames: { type: "string", default: "0" },
+            size: { type: "string", default: "1024x768" },
+            timeout: { type: "string", default: "10000" },
+            help: { type: "boolean", short: "h", default: false },
+        },
+    });
+    const [command, ...scripts] = positionals;
+    if (values.help) {
+        console.log(usage);
+        return 0;
+    }
+    if (command != "run") fail(command ? `Unknown command '${command}'` : "No command given");
+    if (scripts.length == 0) fail("No program given");
+
+    const size = values.size.match(/^(\d+)x(\d+)$/);
+    if (!size) fail(`'${values.size}' isn't a size like 800x600`);
+    const frames = Number(values.frames);
+    const timeout = Number(values.timeout);
+    if (!Number.isInteger(frames) || frames < 0) fail(`'${values.frames}' isn't a number of frames`);
+    if (!(timeout > 0)) fail(`'${values.timeout}' isn't a timeout in milliseconds`);
+
+    const input = values.input != null
+        ? await Bun.file(values.input).text()
+        : process.stdin.isTTY ? "" : await Bun.stdin.text();
+    const expected = values.expected != null ? (await Bun.file(values.expected).text()).replace(/\r\n/g, "\n").trimEnd() : undefined;
+
+    let failed = 0;
+    for (const script of scripts) {
+        const job: HeadlessJob = {
+            balder: await balderFor(script),
+            code: "",
+            input: input.replace(/\r\n/g, "\n").replace(/\n$/, ""),
+            width: Number(size[1]),
+            height: Number(size[2]),
+            frames,
+        };
+        let result;
+        try {
+            job.code = await bundle(script);
+            result = await runHeadless(job, timeout);
+        } catch (error) {
+            result = { output: "", operations: [], error: (error as Error).message };
+        }
+
+        if (expected != null) {
+            const actual = result.output.trimEnd();
+            const passed = !result.error && actual == expected;
+            if (!passed) failed++;
+            console.log(`${passed ? "✔" : "✖"} ${script}`);
+            if (actual != expected) console.log(unifiedDiff(expected, actual));
+        } else {
+            if (scripts.length > 1) console.log(`== ${script} ==`);
+            process.stdout.write(result.output);
+            if (result.error) failed++;
+        }
+        if (values.operations) {
+            for (const operation of result.operations) console.log(JSON.stringify(operation));
+        }
+        if (result.error) console.error(`${script}: ${result.error}`);
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+process.exit(await main(process.argv.slice(2)));
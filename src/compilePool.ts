@@ -0,0 +1,98 @@
+import os from "os";
+import { Worker } from "worker_threads";
+import type { CompileJob, CompileReply } from "../compileCode";
+import type { CompileResult } from "./compiler";
+
+const workerPath = new URL("../compileCode.ts", import.meta.url);
+
+interface PendingJob {
+    job: CompileJob;
+    resolve: (result: CompileResult) => void;
+    reject: (error: Error) => void;
+}
+
+interface PoolWorker {
+    worker: Worker;
+    current?: PendingJob;
+    timer?: Timer;
+}
+
+/**
+ * Runs compile jobs on a fixed number of worker threads so a slow compile
+ * doesn't block the server. Jobs wait in a queue while every worker is busy
+ * or still warming up, so the timeout only covers the job itself.
+ */
+export class CompilePool {
+    private idle: PoolWorker[] = [];
+    private queue: PendingJob[] = [];
+    private nextId = 0;
+
+    constructor(size = Math.min(os.cpus().length, 4), private timeout = 10000) {
+        for (let i = 0; i < size; i++) {
+            this.spawn();
+        }
+    }
+
+    compile(userId: string, fileName: string, code: string): Promise<CompileResult> {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ job: { id: this.nextId++, userId, fileName, code }, resolve, reject });
+            this.dispatch();
+        });
+    }
+
+    // The worker only becomes idle once it reports it is ready.
+    private spawn() {
+        const poolWorker: PoolWorker = { worker: new Worker(workerPath) };
+        poolWorker.worker.on("message", (reply: CompileReply) => {
+            if ("ready" in reply) {
+                this.idle.push(poolWorker);
+                this.dispatch();
+            } else {
+                this.finish(poolWorker, reply);
+            }
+        });
+        poolWorker.worker.on("error", (error) => this.replace(poolWorker, error));
+    }
+
+    private dispatch() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const poolWorker = this.idle.pop()!;
+            const pending = this.queue.shift()!;
+
+            poolWorker.current = pending;
+            poolWorker.timer = setTimeout(() => {
+                this.replace(poolWorker, new Error(`Compiling ${pending.job.fileName} took longer than ${this.timeout} ms`));
+            }, this.timeout);
+            poolWorker.worker.postMessage(pending.job);
+        }
+    }
+
+    private finish(poolWorker: PoolWorker, reply: CompileReply) {
+        const pending = poolWorker.current;
+        if (!pending || pending.job.id != reply.id) return;
+
+        clearTimeout(poolWorker.timer);
+        poolWorker.current = undefined;
+        if ("error" in reply) pending.reject(new Error(reply.error));
+        else pending.resolve(reply.result);
+
+        this.idle.push(poolWorker);
+        this.dispatch();
+    }
+
+    /**
+     * A worker stuck on a job can't be interrupted, so it is thrown away and
+     * replaced by a fresh one.
+     */
+    private replace(poolWorker: PoolWorker, error: Error) {
+        clearTimeout(poolWorker.timer);
+        poolWorker.current?.reject(error);
+        poolWorker.current = undefined;
+        this.idle = this.idle.filter((other) => other != poolWorker);
+
+        poolWorker.worker.removeAllListeners();
+        poolWorker.worker.terminate();
+
+        this.spawn();
+    }
+}
@@ -0,0 +1,98 @@
+import path from "path";
+import ts from "typescript";
+
+export interface Diagnostic {
+    file: string;
+    line: number;
+    column: number;
+    endLine: number;
+    endColumn: number;
+    message: string;
+    severity: "error" | "warning" | "info";
+}
+
+export interface CompileResult {
+    output: string;
+    diagnostics: Diagnostic[];
+}
+
+export const compilerOptions: ts.CompilerOptions = {
+    target: ts.ScriptTarget.ES2022,
+    module: ts.ModuleKind.ESNext,
+};
+
+function withJsExtension(specifier: string): string {
+    if (!specifier.startsWith("./") && !specifier.startsWith("../")) return specifier;
+    if (specifier.endsWith(".ts")) return specifier.slice(0, -3) + ".js";
+    if (/\.\w+$/.test(specifier)) return specifier;
+    return specifier + ".js";
+}
+
+/**
+ * The browser doesn't resolve `./player` to `./player.js` like TypeScript does,
+ * so relative import and export specifiers get their extension added.
+ */
+const resolveRelativeImports: ts.TransformerFactory<ts.SourceFile> = (context) => (sourceFile) => {
+    const { factory } = context;
+
+    const statements = sourceFile.statements.map((statement) => {
+        if (ts.isImportDeclaration(statement) && ts.isStringLiteral(statement.moduleSpecifier)) {
+            return factory.updateImportDeclaration(
+                statement,
+                statement.modifiers,
+                statement.importClause,
+                factory.createStringLiteral(withJsExtension(statement.moduleSpecifier.text)),
+                statement.attributes
+            );
+        }
+        if (ts.isExportDeclaration(statement) && statement.moduleSpecifier && ts.isStringLiteral(statement.moduleSpecifier)) {
+            return factory.updateExportDeclaration(
+                statement,
+                statement.modifiers,
+                statement.isTypeOnly,
+                statement.exportClause,
+                factory.createStringLiteral(withJsExtension(statement.moduleSpecifier.text)),
+                statement.attributes
+            );
+        }
+        return statement;
+    });
+
+    return factory.updateSourceFile(sourceFile, statements);
+};
+
+export function toDiagnostic(diagnostic: ts.Diagnostic, fileName: string): Diagnostic {
+    const start = diagnostic.start ?? 0;
+    const position = diagnostic.file?.getLineAndCharacterOfPosition(start) ?? { line: 0, character: 0 };
+    const end = diagnostic.file?.getLineAndCharacterOfPosition(start + (diagnostic.length ?? 0)) ?? position;
+
+    return {
+        file: path.basename(diagnostic.file?.fileName ?? fileName),
+        line: position.line + 1,
+        column: position.character + 1,
+        endLine: end.line + 1,
+        endColumn: end.character + 1,
+        message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+        severity: diagnostic.category == ts.DiagnosticCategory.Error ? "error"
+            : diagnostic.category == ts.DiagnosticCategory.Warning ? "warning" : "info",
+    };
+}
+
+/**
+ * Transpiles one TypeScript file of a workspace to an ES module with an
+ * inline source map, which the editor uses to point runtime errors at the
+ * TypeScript. Only syntax errors are reported, the file is not type checked.
+ */
+export function compile(code: string, fileName: string): CompileResult {
+    const result = ts.transpileModule(code, {
+        compilerOptions: { ...compilerOptions, inlineSourceMap: true },
+        fileName,
+        reportDiagnostics: true,
+        transformers: { after: [resolveRelativeImports] },
+    });
+
+    return {
+        output: result.outputText,
+        diagnostics: (result.diagnostics ?? []).map((diagnostic) => toDiagnostic(diagnostic, fileName)),
+    };
+}
@@ -0,0 +1,16 @@
+export interface Cookies {
+    [key: string]: string;
+}
+
+/**
+ * Parses a Cookie header. Values may contain `=`, and pairs without a name
+ * are left out.
+ */
+export function parseCookies(cookieString: string): Cookies {
+    return cookieString.split(";").reduce((cookies: Cookies, cookie: string) => {
+        const separator = cookie.indexOf("=");
+        const name = (separator >= 0 ? cookie.slice(0, separator) : cookie).trim();
+        if (name) cookies[name] = separator >= 0 ? cookie.slice(separator + 1).trim() : "";
+        return cookies;
+    }, {});
+}
@@ -0,0 +1,213 @@
+import ts from "typescript";
+
+export const balderPath = `${import.meta.dir}/template/balder.js`;
+
+const generatorOptions: ts.CompilerOptions = {
+    target: ts.ScriptTarget.ES2022,
+    lib: ["lib.es2022.d.ts", "lib.dom.d.ts"],
+    types: [],
+    allowJs: true,
+    checkJs: false,
+    noEmit: true,
+};
+
+// Types the checker can't infer from balder.js.
+const typeOverrides: Record<string, string> = {
+    canvas: "HTMLCanvasElement & PointerTarget",
+    ctx: "CanvasRenderingContext2D",
+    W: "number",
+    H: "number",
+    DT: "number",
+    io: "HTMLElement",
+    ui: "HTMLElement",
+    read: "Promise<string>",
+};
+
+function isPrivate(name: string): boolean {
+    return name.startsWith("_");
+}
+
+function indent(text: string, depth: number): string {
+    const prefix = "    ".repeat(depth);
+    return text.split("\n").map((line) => line ? prefix + line : line).join("\n");
+}
+
+function isNullChecked(name: string, body: ts.Node | undefined): boolean {
+    if (!body) return false;
+    return new RegExp(`\\b${name}\\s*(!=|==|\\?\\?)`).test(body.getText());
+}
+
+function usesArguments(body: ts.Node | undefined): boolean {
+    return !!body && /\barguments\b/.test(body.getText());
+}
+
+/**
+ * Prints declarations for the public globals of balder.js. Parameters with
+ * a default value, parameters after those, parameters checked against `null`
+ * and parameters of functions reading `arguments` become optional, since
+ * BalderJS is written to be called that way.
+ */
+class DeclarationPrinter {
+    private checker: ts.TypeChecker;
+    private sourceFile: ts.SourceFile;
+
+    constructor(program: ts.Program, fileName: string) {
+        this.checker = program.getTypeChecker();
+        this.sourceFile = program.getSourceFile(fileName)!;
+    }
+
+    print(): string {
+        const declarations: string[] = [];
+        for (const statement of this.sourceFile.statements) {
+            const declaration = this.printStatement(statement);
+            if (declaration) declarations.push(declaration);
+        }
+        return declarations.join("\n");
+    }
+
+    private printStatement(statement: ts.Statement): string | undefined {
+        if (ts.isFunctionDeclaration(statement) && statement.name && !isPrivate(statement.name.text)) {
+            const name = statement.name.text;
+            return this.docComment(statement, statement.parameters, statement.body)
+                + `declare function ${name}(${this.parameters(statement.parameters, statement.body)}): ${typeOverrides[name] ?? this.returnType(statement)};\n`;
+        }
+        if (ts.isClassDeclaration(statement) && statement.name && !isPrivate(statement.name.text)) {
+            return this.docComment(statement) + this.printClass(statement);
+        }
+        if (ts.isVariableStatement(statement)) {
+            const keyword = statement.declarationList.flags & ts.NodeFlags.Const ? "const" : "let";
+            return statement.declarationList.declarations
+                .filter((declaration) => ts.isIdentifier(declaration.name) && !isPrivate(declaration.name.text))
+                .map((declaration) => {
+                    const name = (declaration.name as ts.Identifier).text;
+                    const type = typeOverrides[name]
+                        ?? (declaration.initializer && ts.isObjectLiteralExpression(declaration.initializer)
+                            ? this.printObjectType(declaration.initializer)
+                            : this.typeOf(declaration));
+                    return this.docComment(statement) + `declare ${keyword} ${name}: ${type};\n`;
+                })
+                .join("");
+        }
+        return undefined;
+    }
+
+    private printClass(declaration: ts.ClassDeclaration): string {
+        const heritage = declaration.heritageClauses?.map((clause) => " " + clause.getText()).join("") ?? "";
+        const members: string[] = [];
+
+        for (const member of declaration.members) {
+            if (ts.isConstructorDeclaration(member)) {
+                members.push(this.docComment(member, member.parameters, member.body)
+                    + `constructor(${this.parameters(member.parameters, member.body)});\n`);
+                continue;
+            }
+            if (!member.name || !ts.isIdentifier(member.name) || isPrivate(member.name.text)) continue;
+
+            const name = member.name.text;
+            const isStatic = member.modifiers?.some((modifier) => modifier.kind == ts.SyntaxKind.StaticKeyword) ? "static " : "";
+
+            if (ts.isPropertyDeclaration(member)) {
+                members.push(this.docComment(member) + `${isStatic}${name}: ${this.typeOf(member)};\n`);
+            } else if (ts.isMethodDeclaration(member)) {
+                members.push(this.docComment(member, member.parameters, member.body)
+                    + `${isStatic}${name}(${this.parameters(member.parameters, member.body)}): ${this.returnType(member)};\n`);
+            } else if (ts.isGetAccessorDeclaration(member)) {
+                members.push(this.docComment(member) + `${isStatic}get ${name}(): ${this.returnType(member)};\n`);
+            } else if (ts.isSetAccessorDeclaration(member)) {
+                const [value] = member.parameters;
+                members.push(this.docComment(member) + `${isStatic}set ${name}(${value.name.getText()}: ${this.typeOf(value)});\n`);
+            }
+        }
+
+        return `declare class ${declaration.name!.text}${heritage} {\n${indent(members.join(""), 1)}}\n`;
+    }
+
+    private printObjectType(literal: ts.ObjectLiteralExpression): string {
+        const getters = new Set<string>();
+        const setters = new Set<string>();
+        for (const property of literal.properties) {
+            if (property.name && ts.isIdentifier(property.name)) {
+                if (ts.isGetAccessorDeclaration(property)) getters.add(property.name.text);
+                if (ts.isSetAccessorDeclaration(property)) setters.add(property.name.text);
+            }
+        }
+
+        const members: string[] = [];
+        for (const property of literal.properties) {
+            if (!property.name || !ts.isIdentifier(property.name) || isPrivate(property.name.text)) continue;
+            const name = property.name.text;
+
+            if (ts.isGetAccessorDeclaration(property)) {
+                const readonly = setters.has(name) ? "" : "readonly ";
+                members.push(this.docComment(property) + `${readonly}${name}: ${this.returnType(property)};\n`);
+            } else if (ts.isSetAccessorDeclaration(property) && !getters.has(name)) {
+                members.push(this.docComment(property) + `${name}: ${this.typeOf(property.parameters[0])};\n`);
+            } else if (ts.isMethodDeclaration(property)) {
+                members.push(this.docComment(property, property.parameters, property.body)
+                    + `${name}(${this.parameters(property.parameters, property.body)}): ${this.returnType(property)};\n`);
+            } else if (ts.isPropertyAssignment(property)) {
+                members.push(this.docComment(property) + `${name}: ${this.typeOf(property)};\n`);
+            }
+        }
+
+        return `{\n${indent(members.join(""), 1)}}`;
+    }
+
+    private parameters(parameters: ts.NodeArray<ts.ParameterDeclaration>, body: ts.Node | undefined): string {
+        let optional = usesArguments(body);
+        return parameters.map((parameter) => {
+            const name = parameter.name.getText();
+            const type = this.typeOf(parameter);
+            if (parameter.dotDotDotToken) return `...${name}: ${type}`;
+
+            optional ||= !!parameter.initializer || isNullChecked(name, body);
+            return `${name}${optional ? "?" : ""}: ${type}`;
+        }).join(", ");
+    }
+
+    private typeOf(node: ts.Node): string {
+        const type = this.checker.getTypeAtLocation(node);
+        return this.checker.typeToString(this.checker.getBaseTypeOfLiteralType(type), undefined, ts.TypeFormatFlags.NoTruncation);
+    }
+
+    private returnType(declaration: ts.SignatureDeclaration): string {
+        const signature = this.checker.getSignatureFromDeclaration(declaration);
+        if (!signature) return "any";
+        const type = this.checker.getReturnTypeOfSignature(signature);
+        return this.checker.typeToString(type, undefined, ts.TypeFormatFlags.NoTruncation);
+    }
+
+    /**
+     * Copies the JSDoc above `node` and adds the default value of every
+     * parameter that has one, so it shows up when hovering a call.
+     */
+    private docComment(node: ts.Node, parameters?: ts.NodeArray<ts.ParameterDeclaration>, body?: ts.Node): string {
+        const jsDoc = ts.getJSDocCommentsAndTags(node).find(ts.isJSDoc);
+        let lines: string[] = [];
+        if (jsDoc) {
+            const text = jsDoc.getText();
+            lines = text.includes("\n")
+                ? text.split("\n").slice(1, -1).map((line) => line.replace(/^\s*\* ?/, ""))
+                : [text.replace(/^\/\*\*\s*|\s*\*\/$/g, "")];
+        }
+
+        for (const parameter of parameters ?? []) {
+            if (parameter.initializer) {
+                lines.push(`@param ${parameter.name.getText()} Defaults to \`${parameter.initializer.getText()}\`.`);
+            }
+        }
+        if (lines.length == 0) return "";
+
+        return ["/**", ...lines.map((line) => line ? ` * ${line}` : " *"), " */", ""].join("\n");
+    }
+}
+
+/**
+ * Generates a declaration file for balder.js, with its JSDoc kept as hover
+ * documentation in the editor.
+ */
+export function generateDeclarations(fileName = balderPath): string {
+    const program = ts.createProgram([fileName], generatorOptions);
+    const header = "// Generated from balder.js, changes here are overwritten.\n\n";
+    return header + new DeclarationPrinter(program, fileName).print();
+}
@@ -0,0 +1,165 @@
+export interface DiffLine {
+    type: " " | "+" | "-";
+    text: string;
+}
+
+/**
+ * Line diff with Myers' algorithm, giving the shortest list of added and
+ * removed lines that turns `a` into `b`. It uses the linear-space variant,
+ * which splits the texts at the middle of an optimal path and diffs the two
+ * halves, so long texts don't take memory in proportion to their length
+ * times the number of changes.
+ */
+export function diffLines(a: string[], b: string[]): DiffLine[] {
+    const lines: DiffLine[] = [];
+    diffRange(a, 0, a.length, b, 0, b.length, lines);
+
+    // Within a run of changes the removed lines go first, as in `diff -u`.
+    const ordered: DiffLine[] = [];
+    let added: DiffLine[] = [];
+    for (const line of lines) {
+        if (line.type == "+") {
+            added.push(line);
+            continue;
+        }
+        if (line.type == " ") {
+            for (const addedLine of added) ordered.push(addedLine);
+            added = [];
+        }
+        ordered.push(line);
+    }
+    for (const addedLine of added) ordered.push(addedLine);
+    return ordered;
+}
+
+function diffRange(a: string[], aStart: number, aEnd: number, b: string[], bStart: number, bEnd: number, lines: DiffLine[]) {
+    while (aStart < aEnd && bStart < bEnd && a[aStart] == b[bStart]) {
+        lines.push({ type: " ", text: a[aStart++] });
+        bStart++;
+    }
+    let suffix = 0;
+    while (aEnd > aStart && bEnd > bStart && a[aEnd - 1] == b[bEnd - 1]) {
+        aEnd--;
+        bEnd--;
+        suffix++;
+    }
+
+    if (aStart == aEnd) {
+        for (let y = bStart; y < bEnd; y++) lines.push({ type: "+", text: b[y] });
+    } else if (bStart == bEnd) {
+        for (let x = aStart; x < aEnd; x++) lines.push({ type: "-", text: a[x] });
+    } else {
+        // Without a common first or last line, there are at least two changes, so both halves have fewer.
+        const [x, y, u, v] = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+        diffRange(a, aStart, aStart + x, b, bStart, bStart + y, lines);
+        for (let i = x; i < u; i++) lines.push({ type: " ", text: a[aStart + i] });
+        diffRange(a, aStart + u, aEnd, b, bStart + v, bEnd, lines);
+    }
+
+    for (let i = 0; i < suffix; i++) lines.push({ type: " ", text: a[aEnd + i] });
+}
+
+/**
+ * Searches from both ends at once until the paths meet, and returns the
+ * common lines `[x, y]` to `[u, v]` where they do, relative to the starts.
+ */
+function middleSnake(a: string[], aStart: number, aEnd: number, b: string[], bStart: number, bEnd: number): [number, number, number, number] {
+    const n = aEnd - aStart;
+    const m = bEnd - bStart;
+    const delta = n - m;
+    const odd = (delta & 1) != 0;
+    const max = Math.ceil((n + m) / 2);
+    const offset = max + 1;
+    // How far along each diagonal the paths from the start and from the end got.
+    const forward = new Int32Array(2 * max + 3);
+    const backward = new Int32Array(2 * max + 3);
+
+    for (let d = 0; d <= max; d++) {
+        for (let k = -d; k <= d; k += 2) {
+            let x = k == -d || (k != d && forward[offset + k - 1] < forward[offset + k + 1])
+                ? forward[offset + k + 1]
+                : forward[offset + k - 1] + 1;
+            let y = x - k;
+            const [x0, y0] = [x, y];
+            while (x < n && y < m && a[aStart + x] == b[bStart + y]) {
+                x++;
+                y++;
+            }
+            forward[offset + k] = x;
+            const c = delta - k;
+            if (odd && c >= -(d - 1) && c <= d - 1 && x + backward[offset + c] >= n) return [x0, y0, x, y];
+        }
+        for (let c = -d; c <= d; c += 2) {
+            let x = c == -d || (c != d && backward[offset + c - 1] < backward[offset + c + 1])
+                ? backward[offset + c + 1]
+                : backward[offset + c - 1] + 1;
+            let y = x - c;
+            const [x0, y0] = [x, y];
+            while (x < n && y < m && a[aEnd - 1 - x] == b[bEnd - 1 - y]) {
+                x++;
+                y++;
+            }
+            backward[offset + c] = x;
+            const k = delta - c;
+            if (!odd && k >= -d && k <= d && x + forward[offset + k] >= n) return [n - x, m - y, n - x0, m - y0];
+        }
+    }
+    throw new Error("The paths of the diff didn't meet");
+}
+
+/**
+ * Formats the difference between two texts as a unified diff.
+ */
+export function unifiedDiff(before: string, after: string, context = 3): string {
+    const split = (text: string) => text == "" ? [] : text.split("\n");
+    const lines = diffLines(split(before), split(after));
+    const hunks: string[] = [];
+
+    let i = 0;
+    while (i < lines.length) {
+        if (lines[i].type == " ") {
+            i++;
+            continue;
+        }
+
+        // Grow the hunk while the next change is close enough to share context.
+        const start = Math.max(0, i - context);
+        let end = i;
+        for (let j = i; j < lines.length && j <= end + 2 * context; j++) {
+            if (lines[j].type != " ") end = j;
+        }
+        end = Math.min(lines.length, end + context + 1);
+
+        let oldLine = 1;
+        let newLine = 1;
+        for (let j = 0; j < start; j++) {
+            if (lines[j].type != "+") oldLine++;
+            if (lines[j].type != "-") newLine++;
+        }
+        const hunk = lines.slice(start, end);
+        const oldCount = hunk.filter((line) => line.type != "+").length;
+        const newCount = hunk.filter((line) => line.type != "-").length;
+
+        // An empty side is numbered from the line before it, as in `diff -u`.
+        hunks.push(`@@ -${oldCount ? oldLine : oldLine - 1},${oldCount} +${newCount ? newLine : newLine - 1},${newCount} @@`);
+        for (const line of hunk) hunks.push(line.type + line.text);
+        i = end;
+    }
+
+    return hunks.join("\n");
+}
+
+/**
+ * A unified diff that removes every line of `before` and adds every line of
+ * `after`, for texts too long to diff.
+ */
+export function replacementDiff(before: string, after: string): string {
+    if (before == after) return "";
+    const split = (text: string) => text == "" ? [] : text.split("\n");
+    const [removed, added] = [split(before), split(after)];
+    return [
+        `@@ -${removed.length ? 1 : 0},${removed.length} +${added.length ? 1 : 0},${added.length} @@`,
+        ...removed.map((line) => `-${line}`),
+        ...added.map((line) => `+${line}`),
+    ].join("\n");
+}
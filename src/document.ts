@@ -0,0 +1,43 @@
+import { TextOperation } from "./static/js/ot.js";
+
+/**
+ * The server's copy of a file open in one or more editors. Every editor sends
+ * its operations against the last revision it has seen; they are transformed
+ * past what the others did meanwhile, so all copies end up equal. The text is
+ * written to disk once nobody has typed for a while.
+ */
+export class TextDocument {
+    dirty = false;
+    saveTimer?: Timer;
+    operations: TextOperation[] = [];
+
+    constructor(public text: string) {}
+
+    get revision(): number {
+        return this.operations.length;
+    }
+
+    /**
+     * Applies an operation made against `revision` and returns it transformed
+     * to fit the current text, as the other editors have to apply it.
+     */
+    receive(operation: TextOperation, revision: number): TextOperation {
+        if (revision < 0 || revision > this.revision) throw new Error("The operation is from an unknown revision");
+
+        for (const concurrent of this.operations.slice(revision)) {
+            [operation] = TextOperation.transform(operation, concurrent);
+        }
+        this.text = operation.apply(this.text);
+        this.operations.push(operation);
+        this.dirty = true;
+        return operation;
+    }
+
+    /**
+     * Replaces the whole text, e.g. with a restored snapshot.
+     */
+    replace(text: string): TextOperation {
+        const operation = new TextOperation().delete(this.text.length).insert(text);
+        return this.receive(operation, this.revision);
+    }
+}
@@ -0,0 +1,63 @@
+import type { TestCase } from "./classroom";
+import { unifiedDiff } from "./diff";
+import { bundle, runHeadless } from "./headless";
+import { workspaceFolder } from "./workspace";
+
+// How long one test case may run, which also stops a program that never ends.
+const testTimeout = Number(process.env.TEST_TIMEOUT ?? 3000);
+
+// How much of a program's output is shown and diffed, as a diff takes time with every line, on the server's thread.
+const maxShownLines = 1000;
+const maxShownLength = 100_000;
+
+export interface TestResult {
+    name: string;
+    passed: boolean;
+    expected: string;
+    actual: string;
+    diff: string;
+    error?: string;
+}
+
+/**
+ * Cuts an output down to what is shown of it, with a note of how much more
+ * there was.
+ */
+export function truncateOutput(output: string): string {
+    let shown = output.slice(0, maxShownLength);
+    const lines = shown.split("\n");
+    if (lines.length > maxShownLines) shown = lines.slice(0, maxShownLines).join("\n");
+    if (shown.length == output.length) return output;
+    return `${shown}\n… ${output.length - shown.length} more characters`;
+}
+
+/**
+ * Runs the compiled program of a workspace against the test cases of its
+ * assignment, in the same way as `?i=` and `?o=` on the preview: the input
+ * lines are what read() returns, and what write() wrote has to equal the
+ * expected output, apart from whitespace at the end.
+ */
+export async function gradeWorkspace(workspaceId: string, tests: TestCase[]): Promise<TestResult[]> {
+    const folder = workspaceFolder(workspaceId);
+    const balder = await Bun.file(`${folder}balder.js`).text();
+
+    let code: string;
+    try {
+        code = await bundle(`${folder}script.js`);
+    } catch (error) {
+        const message = (error as Error).message;
+        return tests.map((test) => ({ name: test.name, passed: false, expected: test.output, actual: "", diff: "", error: message }));
+    }
+
+    const results: TestResult[] = [];
+    for (const test of tests) {
+        const input = test.input.replace(/\n$/, "");
+        const { output, error } = await runHeadless({ balder, code, input }, testTimeout);
+
+        const expected = test.output.trimEnd();
+        const passed = !error && output.trimEnd() == expected;
+        const actual = truncateOutput(output.trimEnd());
+        results.push({ name: test.name, passed, expected, actual, diff: passed ? "" : unifiedDiff(expected, actual), error });
+    }
+    return results;
+}
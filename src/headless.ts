@@ -0,0 +1,430 @@
+import releaseVariant from "@jitl/quickjs-wasmfile-release-sync";
+import path from "path";
+import { newQuickJSWASMModuleFromVariant, type QuickJSContext, type QuickJSContextResult, type QuickJSHandle } from "quickjs-emscripten-core";
+import { Worker } from "worker_threads";
+
+const workerPath = new URL("../runCode.ts", import.meta.url);
+
+// Programs run on a JavaScript engine of their own, compiled to WebAssembly, which has nothing of the host's.
+const quickJS = await newQuickJSWASMModuleFromVariant(releaseVariant);
+// What one program may use, in bytes.
+const memoryLimit = 256 * 1024 * 1024;
+const stackLimit = 1024 * 1024;
+
+export interface HeadlessJob {
+    /** The source of balder.js, loaded before the program like on the page. */
+    balder: string;
+    /** The program, bundled into a single module by `bundle()`. */
+    code: string;
+    /** What read() returns, a line at a time. */
+    input: string;
+    width?: number;
+    height?: number;
+    /** How many screen updates to run, none by default so a program ends once it is evaluated. */
+    frames?: number;
+}
+
+/** A call on the canvas context, a property set on it, or the start of a screen update. */
+export type DrawingOperation = { call: string, args: unknown[] } | { set: string, value: unknown } | { frame: number };
+
+export interface HeadlessResult {
+    /** Everything write() wrote. */
+    output: string;
+    operations: DrawingOperation[];
+    error?: string;
+}
+
+// Globals of balder.js, used by the functions that run inside the sandbox.
+declare let read: (prompt?: string) => Promise<string>;
+declare let _inputLines: string[];
+declare let _inputLineIndex: number;
+
+/**
+ * Stands in for the page, so balder.js loads without one. The canvas context
+ * records what is drawn, every other element takes any property and any call,
+ * and time only passes from one timer to the next, which the host runs with
+ * `_headless.runTimer()`. This is turned into source and runs in the sandbox.
+ */
+function headlessPage(width: number, height: number, frames: number) {
+    const global = globalThis as any;
+
+    let time = 0;
+    const now = () => time;
+    let nextTimerId = 1;
+    let timers: { id: number, time: number, callback: () => void }[] = [];
+
+    function schedule(callback: () => void, delay: number): number {
+        const timer = { id: nextTimerId++, time: time + Math.max(0, delay), callback };
+        timers.splice(timers.filter((other) => other.time <= timer.time).length, 0, timer);
+        return timer.id;
+    }
+
+    function cancel(id: number) {
+        timers = timers.filter((timer) => timer.id != id);
+    }
+
+    global._headless = {
+        // Runs the next timer, and returns whether there was one.
+        runTimer() {
+            const timer = timers.shift();
+            if (!timer) return false;
+            time = timer.time;
+            timer.callback();
+            return true;
+        },
+    };
+
+    function stub(values: Record<PropertyKey, any> = {}): any {
+        return new Proxy(function () {}, {
+            get(_target, key) {
+                if (key in values) return values[key];
+                if (key == Symbol.toPrimitive) return (hint: string) => hint == "number" ? 0 : "";
+                // A stub mustn't look like a promise, or awaiting it would never end.
+                if (key == "then" || typeof key == "symbol") return undefined;
+                return values[key] = stub();
+            },
+            set(_target, key, value) {
+                values[key] = value;
+                return true;
+            },
+            apply: () => stub(),
+            construct: () => stub(),
+        });
+    }
+
+    // Images never really load, but they say they did, so `await image()` goes on.
+    class HeadlessImage {
+        src = "";
+        width = 0;
+        height = 0;
+        complete = true;
+        addEventListener(type: string, listener: () => void) {
+            if (type == "load") schedule(listener, 0);
+        }
+    }
+
+    function describe(value: unknown): unknown {
+        if (value == null || ["string", "number", "boolean"].includes(typeof value)) return value;
+        if (value instanceof HeadlessImage) return value.src;
+        if (Array.isArray(value)) return value.map(describe);
+        return String(value);
+    }
+
+    const contextDefaults = {
+        fillStyle: "#000000",
+        strokeStyle: "#000000",
+        lineWidth: 1,
+        lineCap: "butt",
+        lineJoin: "miter",
+        font: "10px sans-serif",
+        textAlign: "start",
+        textBaseline: "alphabetic",
+        globalAlpha: 1,
+    };
+
+    function headlessCanvas(operations: DrawingOperation[]) {
+        let state: Record<string, unknown> = { ...contextDefaults };
+        const saved: Record<string, unknown>[] = [];
+        const context = new Proxy({}, {
+            get(_target, key) {
+                if (typeof key == "symbol" || key == "then") return undefined;
+                if (key in state) return state[key];
+                if (key == "canvas") return canvas;
+                if (key == "measureText") {
+                    // Monospace at the size of the font, which is close enough to lay out text.
+                    return (text: string) => ({ width: String(text).length * (parseFloat(String(state.font)) || 10) * 0.6 });
+                }
+                if (key == "getImageData") {
+                    return (_x: number, _y: number, width: number, height: number) => ({ width, height, data: new Uint8ClampedArray(Math.max(0, width * height * 4)) });
+                }
+                return (...args: unknown[]) => {
+                    operations.push({ call: key, args: args.map(describe) });
+                    if (key == "save") saved.push({ ...state });
+                    if (key == "restore") state = saved.pop() ?? state;
+                    if (key.startsWith("create")) return stub();
+                };
+            },
+            set(_target, key, value) {
+                if (typeof key == "symbol") return false;
+                state[key] = value;
+                operations.push({ set: key, value: describe(value) });
+                return true;
+            },
+        });
+        const canvas = stub({
+            width,
+            height,
+            getContext: () => context,
+            getBoundingClientRect: () => ({ left: 0, top: 0, right: width, bottom: height, x: 0, y: 0, width, height }),
+        });
+        return canvas;
+    }
+
+    global._operations = [];
+    const elements: Record<string, unknown> = { canvas: headlessCanvas(global._operations) };
+    global.window = globalThis;
+    // A page of its own rather than one in the editor's iframe.
+    global.parent = globalThis;
+    global.location = { href: "http://localhost/", origin: "http://localhost" };
+    // Without a query string, so balder.js finds no ?i= and ?o=.
+    global.URL = class {
+        searchParams = new Map<string, string>();
+    };
+    global.document = stub({
+        body: stub(),
+        getElementById: (id: string) => elements[id] ??= stub(),
+        createElement: (tagName: string) => tagName == "canvas" ? headlessCanvas([]) : stub(),
+    });
+    global.getComputedStyle = () => ({ width: `${width}px`, height: `${height}px`, color: "rgb(0, 0, 0)" });
+    global.Image = HeadlessImage;
+    // Nothing on the page is a real element.
+    global.Node = class {};
+    for (const name of ["addEventListener", "removeEventListener", "Audio", "AudioContext", "alert", "open"]) {
+        global[name] = stub();
+    }
+    global.console = stub();
+
+    global.setTimeout = (callback: (...args: unknown[]) => void, delay: number, ...args: unknown[]) => schedule(() => callback(...args), Number(delay) || 0);
+    global.clearTimeout = (id: number) => cancel(Number(id));
+    global.performance = { now: () => now() };
+
+    // Callbacks asked for during an update run together in the next one, as in a browser.
+    const frameLength = 1000 / 60;
+    let frame = 0;
+    let frameCallbacks: ((timestamp: number) => void)[] = [];
+    // With some slack for rounding, or a frame ending at 50 ms would be followed by another at 50 ms.
+    const nextFrame = () => (Math.floor(now() / frameLength + 1e-9) + 1) * frameLength;
+    global.requestAnimationFrame = (callback: (timestamp: number) => void) => {
+        if (frame >= frames) return 0;
+        if (frameCallbacks.length == 0) {
+            schedule(() => {
+                const callbacks = frameCallbacks;
+                frameCallbacks = [];
+                global._operations.push({ frame: ++frame });
+                for (const callback of callbacks) callback(now());
+            }, nextFrame() - now());
+        }
+        frameCallbacks.push(callback);
+        return frameCallbacks.length;
+    };
+    global.cancelAnimationFrame = () => {};
+}
+
+/**
+ * Feeds the input to read(). A program asking for more than there is waits
+ * for ever, so it ends once nothing else is left to do. Runs inside the
+ * sandbox after balder.js.
+ */
+function headlessIO(input: string) {
+    _inputLines = input == "" ? [] : input.split("\n");
+    const balderRead = read;
+    read = function (prompt) {
+        if (_inputLineIndex >= _inputLines.length) return new Promise(() => {});
+        return balderRead(prompt);
+    };
+}
+
+/**
+ * balder.js loaded on a page that isn't there, in a sandbox of its own: a
+ * QuickJS runtime with a memory limit, that only gets the source of scripts
+ * and only gives back JSON. Time only passes when nothing else is left to
+ * do, so sleep() and screen updates don't slow a run down.
+ */
+export class HeadlessPage {
+    private readonly runtime = quickJS.newRuntime();
+    private readonly context: QuickJSContext;
+    private readonly runTimerFunction: QuickJSHandle;
+    // When the program is interrupted, checked by QuickJS as it runs.
+    private deadline = Infinity;
+
+    constructor(balder: string, options: { width?: number, height?: number, frames?: number } = {}) {
+        this.runtime.setMemoryLimit(memoryLimit);
+        this.runtime.setMaxStackSize(stackLimit);
+        this.runtime.setInterruptHandler(() => Date.now() > this.deadline);
+        this.runtime.setModuleLoader(() => ({ error: new Error("The program has to be bundled") }));
+        this.context = this.runtime.newContext();
+
+        const size = [options.width ?? 1024, options.height ?? 768, options.frames ?? 0].map(Number);
+        try {
+            this.execute(`(${headlessPage})(${size.join(", ")})`).dispose();
+            this.execute(balder, "balder.js").dispose();
+            const headless = this.execute("_headless");
+            this.runTimerFunction = this.context.getProp(headless, "runTimer");
+            headless.dispose();
+        } catch (error) {
+            this.context.dispose();
+            this.runtime.dispose();
+            throw error;
+        }
+    }
+
+    /**
+     * Evaluates `code` as a script on the page, e.g. to reach the globals of
+     * balder.js, and returns its value as JSON would have it. A promise is
+     * waited for, with the timers it needs.
+     */
+    evaluate(code: string): any {
+        const handle = this.execute(code);
+        try {
+            let state = this.context.getPromiseState(handle);
+            while (state.type == "pending") {
+                this.runJobs();
+                state = this.context.getPromiseState(handle);
+                if (state.type == "pending" && !this.runTimer()) return undefined;
+            }
+            if (state.type == "rejected") throw new Error(this.consumeError(state.error));
+            if (state.notAPromise) return this.context.dump(handle);
+            return this.context.dump(state.value.consume((value) => value.dup()));
+        } finally {
+            handle.dispose();
+        }
+    }
+
+    /** Everything write() has written. */
+    get output(): string {
+        return this.evaluate("String(_outputValue)");
+    }
+
+    get operations(): DrawingOperation[] {
+        return JSON.parse(this.evaluate("JSON.stringify(_operations)"));
+    }
+
+    /**
+     * Runs a bundled program and returns what it wrote and drew. The program
+     * has ended when no timer or screen update is left once its module has
+     * been evaluated, or it waits for more input than there is. One still
+     * running after `timeout` milliseconds is stopped.
+     */
+    async run(code: string, input: string, timeout = Infinity): Promise<HeadlessResult> {
+        this.deadline = Date.now() + timeout;
+        let error: string | undefined;
+        try {
+            this.execute(`(${headlessIO})(${JSON.stringify(input)})`).dispose();
+            const module = this.unwrap(this.context.evalCode(code, "script.js", { type: "module" }));
+            try {
+                do {
+                    this.runJobs();
+                    const state = this.context.getPromiseState(module);
+                    if (state.type == "rejected") throw new Error(this.consumeError(state.error));
+                    if (state.type == "fulfilled" && !state.notAPromise) state.value.dispose();
+                    if (Date.now() > this.deadline) throw new Error("interrupted");
+                } while (this.runTimer());
+            } finally {
+                module.dispose();
+            }
+        } catch (thrown) {
+            error = Date.now() > this.deadline ? timeoutMessage(timeout) : (thrown as Error).message;
+        }
+
+        // A program that took all its time may still leave what it wrote in a state that takes long to read.
+        this.deadline = Date.now() + 1000;
+        const result = { output: "", operations: [] as DrawingOperation[], ...error !== undefined && { error } };
+        try {
+            result.output = this.output;
+            result.operations = this.operations;
+        } catch {
+            // Nothing to show then.
+        }
+        this.deadline = Infinity;
+        return result;
+    }
+
+    dispose() {
+        this.runTimerFunction.dispose();
+        this.context.dispose();
+        this.runtime.dispose();
+    }
+
+    private execute(code: string, fileName = "eval.js"): QuickJSHandle {
+        return this.unwrap(this.context.evalCode(code, fileName, { type: "global" }));
+    }
+
+    // The value of a result, or else what it threw, as an error of the host.
+    private unwrap(result: QuickJSContextResult<QuickJSHandle>): QuickJSHandle {
+        if (result.error) throw new Error(this.consumeError(result.error));
+        return result.value;
+    }
+
+    // Runs what awaits promises that have settled.
+    private runJobs() {
+        const result = this.runtime.executePendingJobs();
+        if (result.error) throw new Error(this.consumeError(result.error));
+    }
+
+    private runTimer(): boolean {
+        const result = this.unwrap(this.context.callFunction(this.runTimerFunction, this.context.undefined));
+        return result.consume((value) => this.context.dump(value) === true);
+    }
+
+    // What String() makes of an error thrown in the sandbox, "TypeError: x is null" and the like.
+    private consumeError(error: QuickJSHandle): string {
+        return error.consume((error) => {
+            const string = this.context.getProp(this.context.global, "String");
+            const result = this.context.callFunction(string, this.context.undefined, error);
+            string.dispose();
+            if (result.error) {
+                result.error.dispose();
+                return "The program failed";
+            }
+            return result.value.consume((value) => this.context.getString(value));
+        });
+    }
+}
+
+function timeoutMessage(timeout: number): string {
+    return `The program didn't end within ${timeout / 1000} s`;
+}
+
+export function runProgram(job: HeadlessJob, timeout = Infinity): Promise<HeadlessResult> {
+    const page = new HeadlessPage(job.balder, job);
+    return page.run(job.code, job.input, timeout).finally(() => page.dispose());
+}
+
+/**
+ * Runs a program on a worker of its own, so a long run doesn't hold up the
+ * server. The sandbox stops the program after `timeout` milliseconds, and
+ * the worker is thrown away if that somehow doesn't happen.
+ */
+export function runHeadless(job: HeadlessJob, timeout: number): Promise<HeadlessResult> {
+    return new Promise((resolve) => {
+        const worker = new Worker(workerPath, { workerData: { job, timeout } });
+        const done = (result: HeadlessResult) => {
+            clearTimeout(timer);
+            worker.removeAllListeners();
+            worker.terminate();
+            resolve(result);
+        };
+        const timer = setTimeout(() => done({ output: "", operations: [], error: timeoutMessage(timeout) }), timeout + 2000);
+        worker.on("message", done);
+        worker.on("error", (error) => done({ output: "", operations: [], error: error.message }));
+    });
+}
+
+/**
+ * Bundles a program with the modules it imports, which all have to be in the
+ * same folder or below it.
+ */
+export async function bundle(entry: string): Promise<string> {
+    const root = path.dirname(path.resolve(entry));
+    const result = await Bun.build({
+        entrypoints: [path.resolve(entry)],
+        format: "esm",
+        target: "browser",
+        plugins: [{
+            name: "workspace",
+            setup(build) {
+                build.onResolve({ filter: /.*/ }, (args) => {
+                    // Packages and files outside the workspace, such as the server's, are off limits.
+                    const local = /^\.\.?\//.test(args.path) || path.isAbsolute(args.path);
+                    if (!local || !path.resolve(args.resolveDir, args.path).startsWith(root + path.sep)) {
+                        throw new Error(`'${args.path}' isn't a file of the workspace`);
+                    }
+                    return undefined;
+                });
+            },
+        }],
+    }).catch((error: AggregateError) => {
+        throw new Error(error.errors?.map((message: Error) => message.message).join("\n") || error.message);
+    });
+    return result.outputs[0].text();
+}
@@ -0,0 +1,85 @@
+import { replacementDiff, unifiedDiff } from "./diff";
+import { storage } from "./storage";
+
+// Where the history was kept before it moved into the database.
+const historyRoot = `${import.meta.dir}/history`;
+
+export interface Snapshot {
+    id: string;
+    file: string;
+    time: number;
+    text: string;
+    diff: string;
+    added: number;
+    removed: number;
+}
+
+export type SnapshotSummary = Omit<Snapshot, "text" | "diff">;
+
+export function summarize({ text, diff, ...summary }: Snapshot): SnapshotSummary {
+    return summary;
+}
+
+function historyFile(workspaceId: string): string {
+    return `${historyRoot}/${workspaceId}.jsonl`;
+}
+
+/**
+ * Copies the history of a workspace from its old JSON lines file into the
+ * database.
+ */
+export async function importHistory(workspaceId: string) {
+    const file = Bun.file(historyFile(workspaceId));
+    if (!await file.exists()) return;
+
+    const text = await file.text();
+    const snapshots: Snapshot[] = text.split("\n").filter((line) => line).map((line) => JSON.parse(line));
+    storage.transaction(() => {
+        for (const snapshot of snapshots) storage.addSnapshot(workspaceId, snapshot);
+    });
+}
+
+// A longer file is recorded as replaced as a whole, as diffing it would hold up the server.
+const maxDiffedLines = 5000;
+
+function lineCount(text: string): number {
+    let count = 1;
+    for (let i = text.indexOf("\n"); i >= 0; i = text.indexOf("\n", i + 1)) count++;
+    return count;
+}
+
+/**
+ * Stores a saved file as a new snapshot, unless it is unchanged since the
+ * last snapshot of that file.
+ */
+export async function addSnapshot(workspaceId: string, fileName: string, text: string): Promise<Snapshot | undefined> {
+    const previous = storage.lastSnapshot(workspaceId, fileName);
+    if (previous?.text == text) return undefined;
+
+    const before = previous?.text ?? "";
+    const diff = lineCount(before) > maxDiffedLines || lineCount(text) > maxDiffedLines ? replacementDiff(before, text) : unifiedDiff(before, text);
+    const lines = diff.split("\n");
+    const snapshot: Snapshot = {
+        id: crypto.randomUUID(),
+        file: fileName,
+        time: Date.now(),
+        text,
+        diff,
+        added: lines.filter((line) => line.startsWith("+")).length,
+        removed: lines.filter((line) => line.startsWith("-")).length,
+    };
+
+    storage.addSnapshot(workspaceId, snapshot);
+    return snapshot;
+}
+
+/**
+ * Lists the snapshots of a workspace, newest first.
+ */
+export async function listSnapshots(workspaceId: string): Promise<SnapshotSummary[]> {
+    return storage.listSnapshots(workspaceId);
+}
+
+export async function getSnapshot(workspaceId: string, snapshotId: string): Promise<Snapshot | undefined> {
+    return storage.getSnapshot(workspaceId, snapshotId);
+}
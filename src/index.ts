@@ -1,32 +1,552 @@
+import type { ServerWebSocket } from "bun";
 import { Eta } from "eta";
 import path from "path";
 import { exec } from "child_process";
-import { transpile } from "typescript";
+import { watch } from "fs";
 import { promisify } from "util";
+import { CompilePool } from "./compilePool";
+import { deleteAsset, listAssets, saveAssets } from "./assets";
+import { createAssignment, createClassroom, joinClassroom, loginTeacher, registerTeacher, renderInstructions, startAssignment, teaches } from "./classroom";
+import { parseCookies, type Cookies } from "./cookies";
+import { balderPath, generateDeclarations } from "./declarations";
+import { TextDocument } from "./document";
+import { gradeWorkspace } from "./grader";
+import { addSnapshot, getSnapshot, listSnapshots, summarize } from "./history";
+import { servePreview } from "./preview";
+import { envelope, errorMessage, parseMessage, ProtocolError, type ClientMessage, type ServerMessage } from "./protocol";
+import { TextOperation } from "./static/js/ot.js";
+import { serveFile } from "./staticFiles";
+import { sessionLifetime, storage, type Session } from "./storage";
+import { createShare, forkShare, readShare, shareExists } from "./share";
+import { createFile, createWorkspace, deleteFile, ensureWorkspaceFolder, importWorkspaceFolders, readFiles, renameFile, saveFile, saveOutput, workspaceExists, workspaceFolder } from "./workspace";
 
-interface Cookies {
-    [key: string]: string;
+const eta = new Eta({views: path.join(import.meta.dir, "/routes")});
+
+/**
+ * Returns the workspace of the session, creating one on the first visit, and
+ * keeps the session alive.
+ */
+async function sessionWorkspace(session: Session): Promise<string> {
+    if (!session.workspaceId) session.workspaceId = await createWorkspace();
+    await ensureWorkspaceFolder(session.workspaceId);
+    storage.saveSession(session);
+    return session.workspaceId;
 }
 
+function redirect(location: string, headers: Headers): Response {
+    headers.set("Location", location);
+    return new Response(undefined, { status: 303, headers });
+}
 
-function parseCookies(cookieString: string): Cookies {
-    return cookieString.split(';').reduce((cookies: any, cookie: any) => {
-      const [name, value] = cookie.split('=').map((c: string) => c.trim());
-      cookies[name] = value;
-      return cookies;
-    }, {});
+async function render(view: string, data: object, headers: Headers, status = 200): Promise<Response> {
+    return new Response(await eta.renderAsync(view, data), { status, headers });
 }
 
-const eta = new Eta({views: path.join(import.meta.dir, "/routes")});
+/**
+ * Where the previews are served from, the same host on the preview server's
+ * port unless PREVIEW_ORIGIN says otherwise, e.g. behind a proxy. Cookies
+ * don't tell ports apart, so a host of its own is safer still.
+ */
+function previewOrigin(req: Request): string {
+    const url = new URL(req.url);
+    return process.env.PREVIEW_ORIGIN ?? `${url.protocol}//${url.hostname}:${previewServer.port}`;
+}
+
+/**
+ * The editor shows instructions written by teachers, so it only runs its own
+ * scripts and Monaco's, and only talks to the server and the previews.
+ */
+function editorPolicy(req: Request): string {
+    const preview = previewOrigin(req);
+    const monaco = "https://cdn.jsdelivr.net/npm/monaco-editor@0.27.0/";
+    return [
+        "default-src 'self'",
+        `script-src 'self' ${monaco}`,
+        `style-src 'self' 'unsafe-inline' ${monaco}`,
+        `font-src 'self' data: ${monaco}`,
+        // Instructions may show images from elsewhere, which renderInstructions() only lets through on https.
+        `img-src 'self' data: blob: https: ${preview}`,
+        `connect-src 'self' ${preview}`,
+        `worker-src 'self' blob: ${monaco}`,
+        `frame-src ${preview}`,
+        "object-src 'none'",
+        "base-uri 'none'",
+        "form-action 'self'",
+        "frame-ancestors 'none'",
+    ].join("; ");
+}
+
+function sessionCookie(session: Session, secure: boolean): string {
+    const attributes = [`sessionId=${session.id}`, "Path=/", `Max-Age=${sessionLifetime / 1000}`, "HttpOnly", "SameSite=Strict"];
+    if (secure) attributes.push("Secure");
+    return attributes.join("; ");
+}
+
+const compilePool = new CompilePool();
 
-let userId = "f8f4b2b7-b016-418b-b80b-c36630badc64";
+let balderDeclarations = generateDeclarations();
 
-const sessions: Record<string, Record<string, unknown>> = {};
+// How long a file has to be left alone before it is saved and compiled.
+const saveDelay = Number(process.env.SAVE_DELAY ?? 500);
 
-const previewFolder = `${import.meta.dir}/preview/${userId}/`;
+/**
+ * A workspace that is open in at least one editor. Its documents are shared
+ * by all the sockets editing it, which are subscribed to its topic.
+ */
+interface OpenWorkspace {
+    id: string;
+    sockets: Set<Socket>;
+    documents: Map<string, TextDocument>;
+    outputs: Map<string, string>;
+    loaded: Promise<void>;
+}
+
+const openWorkspaces = new Map<string, OpenWorkspace>();
+
+interface SocketData {
+    id: number;
+    queue: Promise<void>;
+    // The workspace of the session, which is the only one the socket may edit.
+    workspaceId?: string;
+    workspace?: OpenWorkspace;
+    autoRun: boolean;
+    teacherId?: string;
+}
+
+type Socket = ServerWebSocket<SocketData>;
+
+let nextSocketId = 0;
+
+function topicOf(workspace: OpenWorkspace): string {
+    return `workspace:${workspace.id}`;
+}
+
+/**
+ * Sends a message to every editor of the workspace.
+ */
+function broadcast(workspace: OpenWorkspace, message: ServerMessage) {
+    server.publish(topicOf(workspace), envelope(message));
+}
+
+/**
+ * Runs `task` after everything already queued for the socket, so a rename
+ * can't overtake the compile of an earlier save. An error is sent as the
+ * reply to the message `replyTo`.
+ */
+function enqueue(ws: Socket, task: () => Promise<void>, replyTo?: number) {
+    ws.data.queue = ws.data.queue.then(async () => {
+        try {
+            await task();
+        } catch (error) {
+            ws.send(errorMessage(error, replyTo));
+        }
+    });
+}
+
+async function join(ws: Socket, workspaceId: string) {
+    let workspace = openWorkspaces.get(workspaceId);
+    if (!workspace) {
+        const documents = new Map<string, TextDocument>();
+        workspace = {
+            id: workspaceId,
+            sockets: new Set(),
+            documents,
+            outputs: new Map(),
+            loaded: ensureWorkspaceFolder(workspaceId).then(() => readFiles(workspaceId)).then((files) => {
+                for (const [name, code] of Object.entries(files)) documents.set(name, new TextDocument(code));
+            }),
+        };
+        openWorkspaces.set(workspaceId, workspace);
+    }
+
+    workspace.sockets.add(ws);
+    ws.data.workspace = workspace;
+    ws.subscribe(topicOf(workspace));
+    await workspace.loaded;
+}
+
+async function leave(ws: Socket) {
+    const workspace = ws.data.workspace;
+    if (!workspace) return;
+
+    ws.data.workspace = undefined;
+    workspace.sockets.delete(ws);
+    if (ws.readyState == WebSocket.OPEN) ws.unsubscribe(topicOf(workspace));
+    broadcast(workspace, {type: "left", from: ws.data.id});
+
+    // Nothing typed may be lost when the last editor is closed before the save delay is over.
+    if (workspace.sockets.size == 0) {
+        await saveAll(workspace);
+        await run(workspace);
+        if (workspace.sockets.size == 0) openWorkspaces.delete(workspace.id);
+    }
+}
+
+/**
+ * Writes a changed document to disk and compiles it. The compiled output is
+ * kept until the program is run.
+ */
+async function saveDocument(workspace: OpenWorkspace, fileName: string) {
+    const document = workspace.documents.get(fileName);
+    if (!document?.dirty) return;
+
+    clearTimeout(document.saveTimer);
+    document.dirty = false;
+    const text = document.text;
+
+    await saveFile(workspace.id, fileName, text);
+
+    const snapshot = await addSnapshot(workspace.id, fileName, text);
+    if (snapshot) broadcast(workspace, {type: "snapshotAdded", snapshot: summarize(snapshot)});
+
+    if (fileName.endsWith(".ts")) {
+        const { output, diagnostics } = await compilePool.compile(workspace.id, fileName, text);
+        workspace.outputs.set(fileName, output);
+        broadcast(workspace, {type: "diagnostics", diagnostics});
+    }
+}
 
-Bun.serve({
-    port: 3200,
+async function saveAll(workspace: OpenWorkspace) {
+    for (const fileName of workspace.documents.keys()) {
+        await saveDocument(workspace, fileName);
+    }
+}
+
+/**
+ * Writes the compiled output and reloads the preview of every editor.
+ */
+async function run(workspace: OpenWorkspace) {
+    for (const [fileName, output] of workspace.outputs) {
+        await saveOutput(workspace.id, fileName, output);
+    }
+    workspace.outputs.clear();
+    broadcast(workspace, {type: "reload"});
+    server.publish(`ran:${workspace.id}`, envelope({type: "ran", workspace: workspace.id}));
+}
+
+/**
+ * Brings the documents of an open workspace in line with its files after
+ * they were replaced behind its back, with the edits the editors would get
+ * had someone typed the new text, and runs the result.
+ */
+async function reloadWorkspace(workspace: OpenWorkspace) {
+    const files = await readFiles(workspace.id);
+    for (const [fileName, document] of workspace.documents) {
+        if (fileName in files) continue;
+        clearTimeout(document.saveTimer);
+        workspace.documents.delete(fileName);
+        workspace.outputs.delete(fileName);
+        broadcast(workspace, {type: "deleted", file: fileName});
+    }
+    for (const [fileName, text] of Object.entries(files)) {
+        let document = workspace.documents.get(fileName);
+        if (!document) {
+            document = new TextDocument("");
+            workspace.documents.set(fileName, document);
+            broadcast(workspace, {type: "created", file: fileName});
+        }
+        if (document.text != text) broadcast(workspace, {type: "operation", file: fileName, operation: document.replace(text)});
+    }
+    await saveAll(workspace);
+    await run(workspace);
+}
+
+function scheduleSave(ws: Socket, fileName: string, document: TextDocument) {
+    const workspace = ws.data.workspace!;
+    clearTimeout(document.saveTimer);
+    document.saveTimer = setTimeout(() => enqueue(ws, async () => {
+        await saveDocument(workspace, fileName);
+        if (ws.data.autoRun) await run(workspace);
+    }), saveDelay);
+}
+
+function documentState(document: TextDocument) {
+    return {content: document.text.split("\n"), revision: document.revision};
+}
+
+async function handleMessage(ws: Socket, msg: ClientMessage) {
+    const reply = (message: ServerMessage) => ws.send(envelope(message, msg.id));
+
+    if (msg.type == "watch") {
+        // The dashboard of an assignment, which reloads a student's thumbnail whenever their program runs.
+        const assignment = storage.getAssignment(msg.assignment);
+        if (!assignment || !teaches(ws.data.teacherId, assignment.classroomId)) throw new ProtocolError("forbidden", "That isn't one of your assignments");
+
+        ws.subscribe(`assignment:${assignment.id}`);
+        for (const submission of storage.listSubmissions(assignment.id)) ws.subscribe(`ran:${submission.workspaceId}`);
+        return;
+    }
+
+    // Always the workspace of the session the socket was opened with, whatever the page says.
+    if (!ws.data.workspaceId) throw new ProtocolError("no-workspace", "This session has no workspace, open the editor again");
+    if (!ws.data.workspace) await join(ws, ws.data.workspaceId);
+    const workspace = ws.data.workspace!;
+
+    switch (msg.type) {
+        case "operation": {
+            const document = workspace.documents.get(msg.file);
+            if (!document) throw new ProtocolError("not-found", `'${msg.file}' doesn't exist`);
+
+            let operation: TextOperation;
+            try {
+                operation = document.receive(TextOperation.fromJSON(msg.operation), msg.revision);
+            } catch {
+                reply({type: "resync", file: msg.file, ...documentState(document)});
+                return;
+            }
+            reply({type: "ack", file: msg.file});
+            ws.publish(topicOf(workspace), envelope({type: "operation", file: msg.file, operation, from: ws.data.id}));
+            scheduleSave(ws, msg.file, document);
+            return;
+        }
+        case "cursor": {
+            ws.publish(topicOf(workspace), envelope({type: "cursor", file: msg.file, selections: msg.selections, from: ws.data.id}));
+            return;
+        }
+        case "autoRun": {
+            ws.data.autoRun = msg.enabled;
+            return;
+        }
+        case "run": {
+            await saveAll(workspace);
+            await run(workspace);
+            return;
+        }
+        case "test": {
+            // The tests run what the preview would show, so pending edits are compiled first.
+            const submission = storage.findSubmission(workspace.id);
+            const tests = submission ? storage.listTestCases(submission.assignmentId) : [];
+            if (tests.length == 0) throw new ProtocolError("not-found", "This workspace has no test cases");
+
+            await saveAll(workspace);
+            await run(workspace);
+            reply({type: "tests", results: await gradeWorkspace(workspace.id, tests)});
+            return;
+        }
+        case "createFile": {
+            await createFile(workspace.id, msg.file);
+            workspace.documents.set(msg.file, new TextDocument(""));
+            broadcast(workspace, {type: "created", file: msg.file});
+            return;
+        }
+        case "renameFile": {
+            await saveDocument(workspace, msg.file);
+            await renameFile(workspace.id, msg.file, msg.to);
+
+            const document = workspace.documents.get(msg.file);
+            workspace.documents.delete(msg.file);
+            if (document) workspace.documents.set(msg.to, document);
+
+            const output = workspace.outputs.get(msg.file);
+            workspace.outputs.delete(msg.file);
+            if (output != null) workspace.outputs.set(msg.to, output);
+
+            // The editors start the renamed file over from the server's text.
+            broadcast(workspace, {type: "renamed", file: msg.file, to: msg.to, ...documentState(document ?? new TextDocument(""))});
+            if (ws.data.autoRun) await run(workspace);
+            return;
+        }
+        case "deleteFile": {
+            await deleteFile(workspace.id, msg.file);
+            clearTimeout(workspace.documents.get(msg.file)?.saveTimer);
+            workspace.documents.delete(msg.file);
+            workspace.outputs.delete(msg.file);
+
+            broadcast(workspace, {type: "deleted", file: msg.file});
+            if (ws.data.autoRun) await run(workspace);
+            return;
+        }
+        case "deleteAsset": {
+            await deleteAsset(workspaceFolder(workspace.id), msg.name);
+            broadcast(workspace, {type: "assets", assets: await listAssets(workspaceFolder(workspace.id))});
+            return;
+        }
+        case "history": {
+            reply({type: "history", snapshots: await listSnapshots(workspace.id)});
+            return;
+        }
+        case "snapshot": {
+            const snapshot = await getSnapshot(workspace.id, msg.snapshot);
+            if (!snapshot) throw new ProtocolError("not-found", "The snapshot doesn't exist");
+            reply({type: "snapshot", snapshot});
+            return;
+        }
+        case "restore": {
+            const snapshot = await getSnapshot(workspace.id, msg.snapshot);
+            if (!snapshot) throw new ProtocolError("not-found", "The snapshot doesn't exist");
+
+            let document = workspace.documents.get(snapshot.file);
+            if (!document) {
+                await createFile(workspace.id, snapshot.file);
+                document = new TextDocument("");
+                workspace.documents.set(snapshot.file, document);
+                broadcast(workspace, {type: "created", file: snapshot.file});
+            }
+            // Restoring is an edit like any other, made by the server for everyone.
+            const operation = document.replace(snapshot.text);
+            broadcast(workspace, {type: "operation", file: snapshot.file, operation});
+            scheduleSave(ws, snapshot.file, document);
+            reply({type: "restored", file: snapshot.file});
+            return;
+        }
+        case "share": {
+            // The share has to show what the student sees, so pending edits are compiled into it.
+            await saveAll(workspace);
+            await run(workspace);
+            reply({type: "shared", token: await createShare(workspace.id)});
+            return;
+        }
+        case "invite": {
+            // The link has a token of its own, as the workspace's id is in the URLs of its previews.
+            let token = storage.getInvite(workspace.id);
+            if (!token) {
+                token = crypto.randomUUID();
+                storage.addInvite(workspace.id, token);
+            }
+            reply({type: "invited", token});
+            return;
+        }
+        case "revokeInvite": {
+            // Links sent so far stop working, the next invite gets a new token.
+            storage.deleteInvite(workspace.id);
+            reply({type: "inviteRevoked"});
+            return;
+        }
+        case "resume": {
+            const files = Object.fromEntries([...workspace.documents].map(([name, document]) => [name, documentState(document)]));
+            reply({type: "resumed", files, assets: await listAssets(workspaceFolder(workspace.id))});
+            return;
+        }
+    }
+}
+
+async function teacherRoutes(req: Request, path: string, session: Session, headers: Headers): Promise<Response> {
+    const [action, id, more] = path.split("/").slice(2);
+
+    if (req.method == "POST" && (action == "login" || action == "register")) {
+        const form = await req.formData();
+        const name = String(form.get("name") ?? "");
+        const password = String(form.get("password") ?? "");
+        try {
+            const teacher = action == "login" ? await loginTeacher(name, password) : await registerTeacher(name, password);
+            if (teacher) {
+                session.teacherId = teacher.id;
+                storage.saveSession(session);
+                return redirect("/teacher", headers);
+            }
+            return render("login.eta", { name, error: "Wrong name or password" }, headers, 401);
+        } catch (error) {
+            return render("login.eta", { name, error: (error as Error).message }, headers, 400);
+        }
+    }
+
+    const teacher = session.teacherId ? storage.getTeacher(session.teacherId) : undefined;
+    if (!teacher) return render("login.eta", {}, headers);
+
+    const overview = (error?: string) => render("teacher.eta", {
+        teacher,
+        error,
+        classrooms: storage.listClassrooms(teacher.id).map((classroom) => ({ ...classroom, assignments: storage.listAssignments(classroom.id) })),
+    }, headers, error ? 400 : 200);
+
+    if (req.method == "POST") {
+        try {
+            if (action == "logout") {
+                session.teacherId = undefined;
+                storage.saveSession(session);
+                return redirect("/teacher", headers);
+            }
+            if (action == "classes" && !id) {
+                const form = await req.formData();
+                createClassroom(teacher.id, String(form.get("name") ?? ""));
+                return redirect("/teacher", headers);
+            }
+            if (action == "classes" && more == "assignments" && teaches(teacher.id, id)) {
+                const form = await req.formData();
+                const assets = form.getAll("assets").filter((file) => file instanceof File && file.size > 0) as File[];
+                const inputs = form.getAll("testInput").map(String);
+                const outputs = form.getAll("testOutput").map(String);
+                const tests = form.getAll("testName").map((name, i) => ({ name: String(name), input: inputs[i] ?? "", output: outputs[i] ?? "" }))
+                    .filter((test) => test.name.trim() || test.input.trim() || test.output.trim());
+                const assignment = await createAssignment(id, String(form.get("title") ?? ""), String(form.get("instructions") ?? ""), String(form.get("starter") ?? ""), assets, tests);
+                return redirect(`/teacher/assignments/${assignment.id}`, headers);
+            }
+        } catch (error) {
+            return overview((error as Error).message);
+        }
+        return new Response("404", { status: 404 });
+    }
+
+    if (!action) return overview();
+
+    if (action == "assignments") {
+        const assignment = storage.getAssignment(id);
+        if (!assignment || !teaches(teacher.id, assignment.classroomId)) return new Response("404", { status: 404 });
+
+        return render("dashboard.eta", {
+            assignment,
+            classroom: storage.getClassroom(assignment.classroomId),
+            submissions: storage.listSubmissions(assignment.id),
+            tests: storage.listTestCases(assignment.id),
+            previewOrigin: previewOrigin(req),
+        }, headers);
+    }
+
+    if (action == "workspaces") {
+        // Opens a student's work read-only.
+        const submission = storage.findSubmission(id);
+        const assignment = submission && storage.getAssignment(submission.assignmentId);
+        if (!assignment || !teaches(teacher.id, assignment.classroomId)) return new Response("404", { status: 404 });
+
+        if (more == "files") return Response.json(await readFiles(id));
+        return render("readonly.eta", {
+            title: `${submission.studentName}: ${assignment.title}`,
+            filesUrl: `/teacher/workspaces/${id}/files`,
+            previewUrl: `${previewOrigin(req)}/preview/${id}/`,
+        }, headers);
+    }
+
+    return new Response("404", { status: 404 });
+}
+
+async function classRoutes(req: Request, path: string, session: Session, headers: Headers): Promise<Response> {
+    const [action, id] = path.split("/").slice(2);
+
+    if (req.method == "POST" && action == "join") {
+        const form = await req.formData();
+        try {
+            const student = joinClassroom(String(form.get("code") ?? ""), String(form.get("name") ?? ""));
+            session.studentId = student.id;
+            storage.saveSession(session);
+            return redirect("/class", headers);
+        } catch (error) {
+            return render("class.eta", { error: (error as Error).message }, headers, 400);
+        }
+    }
+
+    const student = session.studentId ? storage.getStudent(session.studentId) : undefined;
+    if (!student) return render("class.eta", {}, headers);
+
+    if (action == "assignments") {
+        const assignment = storage.getAssignment(id);
+        if (!assignment || assignment.classroomId != student.classroomId) return new Response("404", { status: 404 });
+
+        const submission = await startAssignment(assignment, student);
+        server.publish(`assignment:${assignment.id}`, envelope({type: "submission", submission}));
+        session.workspaceId = submission.workspaceId;
+        storage.saveSession(session);
+        return redirect("/", headers);
+    }
+
+    return render("class.eta", {
+        student,
+        classroom: storage.getClassroom(student.classroomId),
+        assignments: storage.listAssignments(student.classroomId),
+    }, headers);
+}
+
+const server = Bun.serve<SocketData>({
+    port: Number(process.env.PORT ?? 3200),
     async fetch(req: Request, server): Promise<Response> {
         const url = new URL(req.url);
         const path = url.pathname;
@@ -37,91 +557,165 @@ Bun.serve({
             cookies = parseCookies(req.headers.get('cookie')!);
         }
 
-        const sessionId: string = cookies["sessionId"] ?? self.crypto.randomUUID();
-
-        if (!sessions[sessionId]) sessions[sessionId] = {};
-
-        const session = sessions[sessionId];
+        // A session is only stored once it has a workspace.
+        const session: Session = (cookies["sessionId"] && storage.getSession(cookies["sessionId"])) || { id: self.crypto.randomUUID() };
         
-        const upgradeSuccess = server.upgrade(req);
+        // Pages of other origins, sandboxed previews among them, don't get a socket.
+        const origin = req.headers.get("Origin");
+        if (req.headers.get("Upgrade")?.toLowerCase() == "websocket" && origin != null && URL.parse(origin)?.host != url.host) {
+            return new Response("403", { status: 403 });
+        }
+
+        const upgradeSuccess = server.upgrade(req, {
+            data: { id: nextSocketId++, queue: Promise.resolve(), autoRun: true, workspaceId: session.workspaceId, teacherId: session.teacherId }
+        });
         if (upgradeSuccess) return new Response(undefined);
 
         const headers = new Headers();
         headers.set("Content-Type", "text/html");
-        headers.set("set-cookie", `sessionId=${sessionId};SameSite=Strict`);
+        const secure = url.protocol == "https:" || req.headers.get("X-Forwarded-Proto") == "https";
+        headers.set("set-cookie", sessionCookie(session, secure));
         
-        if (path.startsWith("/preview")) {
-            let requestedFile: string = "never defined";
-            if (requestedFile == "never defined") requestedFile = url.toString().split("/").pop() ?? "split failed";
-            if (requestedFile == ``) requestedFile = "index.html";
-
-            const file = Bun.file(`${previewFolder}${requestedFile}`);
-            
-            if (await file.exists()) {
-                return new Response(await file.text(), {
-                    headers: {
-                        'content-type': file.type
-                    }
-                });
-            }else {
-                return new Response("404", { status: 404 });
+        if (path.startsWith("/preview/")) {
+            return Response.redirect(`${previewOrigin(req)}${path}${url.search}`, 301);
+        }
+
+        if (path.startsWith("/share/")) {
+            const [, , token, ...rest] = path.split("/");
+            if (!token || !await shareExists(token)) return new Response("404", { status: 404 });
+
+            if (rest.length == 0) {
+                return render("readonly.eta", {
+                    title: "Read-only shared program",
+                    filesUrl: `/share/${token}/files`,
+                    previewUrl: `${previewOrigin(req)}/share/${token}/preview/`,
+                    forkUrl: `/share/${token}/fork`,
+                }, headers);
             }
+            if (rest[0] == "files") {
+                return Response.json(await readShare(token));
+            }
+            if (rest[0] == "fork" && req.method == "POST") {
+                const workspaceId = await sessionWorkspace(session);
+                // What is typed but not yet saved goes into the history with the rest, and editors still open get the shared files.
+                const workspace = openWorkspaces.get(workspaceId);
+                if (workspace) await saveAll(workspace);
+                await forkShare(token, workspaceId);
+                if (workspace) await reloadWorkspace(workspace);
+                return redirect("/", headers);
+            }
+            return new Response("404", { status: 404 });
+        }
+
+        if (path == "/teacher" || path.startsWith("/teacher/")) {
+            return teacherRoutes(req, path, session, headers);
         }
+        if (path == "/class" || path.startsWith("/class/")) {
+            return classRoutes(req, path, session, headers);
+        }
+
+        if (path.startsWith("/join/")) {
+            const [, , token] = path.split("/");
+            const workspaceId = token ? storage.findInvite(token) : undefined;
+            if (!workspaceId || !await workspaceExists(workspaceId)) return new Response("404", { status: 404 });
+
+            // Whoever has the link edits the same workspace, the editors keep each other in step.
+            session.workspaceId = workspaceId;
+            await sessionWorkspace(session);
+            return redirect("/", headers);
+        }
+
+        if (path == "/assets" && req.method == "POST") {
+            if (!session.workspaceId) return new Response("404", { status: 404 });
+            const workspaceId = session.workspaceId;
 
-        if (path.startsWith("/script")) {
-            const fileName = url.toString().split("/").pop();
-            const script = Bun.file(`${import.meta.dir}/static/js/${fileName}`);
-            return new Response(script, {
-                headers: {
-                    'Content-Type': 'application/javascript'
-                }
-            });
-        } else if (path.startsWith("/style")) {
-            const fileName = url.toString().split("/").pop();
-            const style = Bun.file(`${import.meta.dir}/static/css/${fileName}`);
-            return new Response(style, {
-                headers: {
-                    'Content-Type': 'text/css'
-                }
-            });
+            try {
+                const form = await req.formData();
+                await saveAssets(workspaceFolder(workspaceId), form.getAll("file").filter((file) => file instanceof File));
+            } catch (error) {
+                return Response.json({error: (error as Error).message}, { status: 400 });
+            }
 
+            const assets = await listAssets(workspaceFolder(workspaceId));
+            const workspace = openWorkspaces.get(workspaceId);
+            if (workspace) broadcast(workspace, {type: "assets", assets});
+            return Response.json({assets});
+        }
+
+        if (path.startsWith("/script/")) {
+            return serveFile(`${import.meta.dir}/static/js`, path.slice("/script/".length), req);
+        }
+        if (path.startsWith("/style/")) {
+            return serveFile(`${import.meta.dir}/static/css`, path.slice("/style/".length), req);
         }
 
         switch (path) {
+            case "/types/balder.d.ts": {
+                return new Response(balderDeclarations, {
+                    headers: {
+                        'Content-Type': 'application/typescript'
+                    }
+                });
+            }
             case "/": {
-                return new Response(await eta.renderAsync("index.eta", { userId }), {headers});
+                const workspaceId = await sessionWorkspace(session);
+                const submission = storage.findSubmission(workspaceId);
+                const assignment = submission && storage.getAssignment(submission.assignmentId);
+                headers.set("Content-Security-Policy", editorPolicy(req));
+                return render("index.eta", {
+                    userId: workspaceId,
+                    previewUrl: `${previewOrigin(req)}/preview/${workspaceId}/`,
+                    assignment: assignment && {
+                        title: assignment.title,
+                        instructions: renderInstructions(assignment.instructions),
+                        tests: storage.listTestCases(assignment.id).length,
+                    },
+                }, headers);
             }
         }
         return new Response("Bink bonk");
     },
     websocket: {
-        async message(ws, message) {
-            let msg: any = JSON.parse(message as string);
-
-            if (msg.fileContents) {
-                let data: { user: string, fileContents: string[] } = msg;
-                const user: string = data.user;
-                const fileContents: string[] = data.fileContents;
-    
-                let code = fileContents.join("\n");
-                
-                let filePath = `${import.meta.dir}/preview/${user}/script.js`;
-
-                await Bun.write(`${import.meta.dir}/preview/${user}/script.ts`, code)
-                code = transpile(code, undefined);
-                await Bun.write(filePath, code);
-                ws.send(JSON.stringify({reload: true}))
-            }
-
-            if (msg.resume) {
-                let data: { userId: string, resume: boolean } = msg;
-                const user: string = data.userId;
-                
-                const code = await Bun.file(`${import.meta.dir}/preview/${user}/script.ts`).text();
-                ws.send(JSON.stringify({resume: true, content: code.split("\n")}));
+        open(ws) {
+            ws.subscribe("types");
+        },
+        message(ws, message) {
+            let msg: ClientMessage;
+            try {
+                msg = parseMessage(message);
+            } catch (error) {
+                ws.send(errorMessage(error));
+                return;
             }
+            enqueue(ws, () => handleMessage(ws, msg), msg.id);
+        },
+        close(ws) {
+            enqueue(ws, () => leave(ws));
         }
     }
 })
 
-console.log("Server running on http://localhost:3200");
\ No newline at end of file
+const previewServer = Bun.serve({
+    port: Number(process.env.PREVIEW_PORT ?? 3201),
+    fetch: servePreview,
+});
+
+const imported = await importWorkspaceFolders();
+if (imported) console.log(`Imported ${imported} workspace folders into the database`);
+
+storage.deleteExpiredSessions();
+setInterval(() => storage.deleteExpiredSessions(), 60 * 60 * 1000);
+
+// Keeps the editor's IntelliSense in step with the runtime while balder.js is being worked on.
+let regenerateTimer: Timer | undefined;
+watch(path.dirname(balderPath), (_event, fileName) => {
+    if (fileName != path.basename(balderPath)) return;
+    clearTimeout(regenerateTimer);
+    regenerateTimer = setTimeout(() => {
+        balderDeclarations = generateDeclarations();
+        server.publish("types", envelope({type: "types"}));
+    }, 200);
+});
+
+console.log(`Server running on ${server.url}`);
+console.log(`Previews served on ${previewServer.url}`);
\ No newline at end of file
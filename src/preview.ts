@@ -0,0 +1,54 @@
+import { shareExists, shareFolder } from "./share";
+import { serveFile } from "./staticFiles";
+import { isUuid, workspaceFolder } from "./workspace";
+
+/**
+ * A preview runs whatever a student wrote, so it may only load its own files
+ * and can't send anything anywhere. The sandbox directive also covers a
+ * preview opened on its own, outside the editor's iframe.
+ */
+const contentSecurityPolicy = [
+    "default-src 'self'",
+    "script-src 'self'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data: blob:",
+    "media-src 'self' data: blob:",
+    "connect-src 'none'",
+    "object-src 'none'",
+    "base-uri 'none'",
+    "form-action 'none'",
+    "sandbox allow-scripts",
+].join("; ");
+
+function notFound(): Response {
+    return new Response("404", { status: 404 });
+}
+
+/**
+ * Handles the requests of the preview server, which has an origin of its own
+ * so a program can't reach the editor's page, and serves nothing but the
+ * preview folders of workspaces and shares.
+ */
+export async function servePreview(req: Request): Promise<Response> {
+    const path = new URL(req.url).pathname;
+
+    let response: Response;
+    if (path.startsWith("/preview/")) {
+        const [, , workspaceId, ...rest] = path.split("/");
+        if (!workspaceId || !isUuid(workspaceId)) return notFound();
+        if (rest.length == 0) return Response.redirect(`/preview/${workspaceId}/`, 301);
+        response = await serveFile(workspaceFolder(workspaceId), rest.join("/"), req);
+    } else if (path.startsWith("/share/")) {
+        const [, , token, preview, ...rest] = path.split("/");
+        if (!token || preview != "preview" || !await shareExists(token)) return notFound();
+        if (rest.length == 0) return Response.redirect(`/share/${token}/preview/`, 301);
+        response = await serveFile(shareFolder(token), rest.join("/"), req);
+    } else {
+        return notFound();
+    }
+
+    // Sandboxed previews have an opaque origin, so their module scripts are cross-origin requests.
+    response.headers.set("Access-Control-Allow-Origin", "*");
+    response.headers.set("Content-Security-Policy", contentSecurityPolicy);
+    return response;
+}
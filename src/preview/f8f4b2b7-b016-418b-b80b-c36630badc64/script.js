@@ -1 +0,0 @@
-circle(30, 30, 20, "green");
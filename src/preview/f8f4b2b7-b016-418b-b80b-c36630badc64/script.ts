@@ -1 +0,0 @@
-circle(30, 30, 20, "green");
\ No newline at end of file
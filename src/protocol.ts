@@ -0,0 +1,157 @@
+import type { Asset } from "./assets";
+import type { Submission } from "./classroom";
+import type { Diagnostic } from "./compiler";
+import type { TestResult } from "./grader";
+import type { Snapshot, SnapshotSummary } from "./history";
+import { protocolVersion } from "./static/js/protocol.js";
+import type { TextOperation } from "./static/js/ot.js";
+
+export { protocolVersion };
+
+type FieldType = "string" | "integer" | "boolean" | "operation" | "selections";
+
+interface FieldTypes {
+    string: string;
+    integer: number;
+    boolean: boolean;
+    operation: (string | number)[];
+    selections: [number, number][];
+}
+
+/**
+ * The messages the browser may send, by type, with the fields each has to
+ * have. The workspace is always the one of the socket's session.
+ */
+const schemas = {
+    resume: {},
+    operation: { file: "string", revision: "integer", operation: "operation" },
+    cursor: { file: "string", selections: "selections" },
+    autoRun: { enabled: "boolean" },
+    run: {},
+    test: {},
+    createFile: { file: "string" },
+    renameFile: { file: "string", to: "string" },
+    deleteFile: { file: "string" },
+    deleteAsset: { name: "string" },
+    history: {},
+    snapshot: { snapshot: "string" },
+    restore: { snapshot: "string" },
+    share: {},
+    invite: {},
+    revokeInvite: {},
+    watch: { assignment: "string" },
+} as const satisfies Record<string, Record<string, FieldType>>;
+
+type Schemas = typeof schemas;
+
+export type ClientMessage = {
+    [T in keyof Schemas]: { version: number, type: T, id?: number } & { -readonly [K in keyof Schemas[T]]: FieldTypes[Schemas[T][K] & FieldType] }
+}[keyof Schemas];
+
+type DocumentState = { content: string[], revision: number };
+
+export type ServerMessage =
+    | { type: "resumed", files: Record<string, DocumentState>, assets: Asset[] }
+    | { type: "ack", file: string }
+    | ({ type: "resync", file: string } & DocumentState)
+    | { type: "operation", file: string, operation: TextOperation, from?: number }
+    | { type: "cursor", file: string, selections: [number, number][], from: number }
+    | { type: "left", from: number }
+    | { type: "diagnostics", diagnostics: Diagnostic[] }
+    | { type: "reload" }
+    | { type: "types" }
+    | { type: "tests", results: TestResult[] }
+    | { type: "created", file: string }
+    | ({ type: "renamed", file: string, to: string } & DocumentState)
+    | { type: "deleted", file: string }
+    | { type: "assets", assets: Asset[] }
+    | { type: "history", snapshots: SnapshotSummary[] }
+    | { type: "snapshotAdded", snapshot: SnapshotSummary }
+    | { type: "snapshot", snapshot: Snapshot }
+    | { type: "restored", file: string }
+    | { type: "shared", token: string }
+    | { type: "invited", token: string }
+    | { type: "inviteRevoked" }
+    | { type: "ran", workspace: string }
+    | { type: "submission", submission: Submission }
+    | { type: "error", code: ErrorCode, message: string };
+
+export type ErrorCode =
+    | "bad-message"
+    | "unsupported-version"
+    | "no-workspace"
+    | "forbidden"
+    | "not-found"
+    | "failed";
+
+/**
+ * An error that is sent to the browser with its code. Any other error thrown
+ * while handling a message is sent as `failed`.
+ */
+export class ProtocolError extends Error {
+    constructor(readonly code: ErrorCode, message: string, readonly replyTo?: number) {
+        super(message);
+    }
+}
+
+function isField(value: unknown, type: FieldType): boolean {
+    switch (type) {
+        case "string": return typeof value == "string";
+        case "integer": return Number.isInteger(value);
+        case "boolean": return typeof value == "boolean";
+        case "operation": return Array.isArray(value) && value.every((op) => typeof op == "string" || Number.isInteger(op));
+        case "selections": return Array.isArray(value) && value.every((selection) =>
+            Array.isArray(selection) && selection.length == 2 && selection.every(Number.isInteger));
+    }
+}
+
+/**
+ * Parses a message from the browser and checks it against its schema. Fields
+ * that aren't in the schema are left out.
+ */
+export function parseMessage(raw: string | Buffer): ClientMessage {
+    let data: unknown;
+    try {
+        data = JSON.parse(String(raw));
+    } catch {
+        throw new ProtocolError("bad-message", "The message isn't JSON");
+    }
+    if (typeof data != "object" || data == null || Array.isArray(data)) {
+        throw new ProtocolError("bad-message", "The message has to be an object");
+    }
+
+    const fields = data as Record<string, unknown>;
+    const id = Number.isInteger(fields.id) ? fields.id as number : undefined;
+    if (fields.id !== undefined && id === undefined) throw new ProtocolError("bad-message", "The id has to be an integer");
+    if (fields.version !== protocolVersion) {
+        throw new ProtocolError("unsupported-version", `The server speaks version ${protocolVersion} of the protocol`, id);
+    }
+    if (typeof fields.type != "string" || !Object.hasOwn(schemas, fields.type)) {
+        throw new ProtocolError("bad-message", `Unknown message type '${fields.type}'`, id);
+    }
+
+    const type = fields.type as keyof Schemas;
+    const message: Record<string, unknown> = { version: protocolVersion, type, id };
+    for (const [name, fieldType] of Object.entries(schemas[type]) as [string, FieldType][]) {
+        if (!isField(fields[name], fieldType)) {
+            throw new ProtocolError("bad-message", `'${name}' of a ${type} message has to be ${fieldType == "integer" ? "an" : "a"} ${fieldType}`, id);
+        }
+        message[name] = fields[name];
+    }
+    return message as ClientMessage;
+}
+
+/**
+ * What is sent for a message of the server, or for an error, as the reply to
+ * the message with the id `replyTo` if it is given.
+ */
+export function envelope(message: ServerMessage, replyTo?: number): string {
+    return JSON.stringify({ version: protocolVersion, ...message, ...replyTo !== undefined && { replyTo } });
+}
+
+export function errorMessage(error: unknown, replyTo?: number): string {
+    if (error instanceof ProtocolError) {
+        return envelope({ type: "error", code: error.code, message: error.message }, error.replyTo ?? replyTo);
+    }
+    return envelope({ type: "error", code: "failed", message: (error as Error).message }, replyTo);
+}
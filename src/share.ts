@@ -0,0 +1,44 @@
+import { cp } from "fs/promises";
+import { addSnapshot } from "./history";
+import { deleteFile, isUuid, listFolder, readFiles, readFolder, saveFile, workspaceFolder } from "./workspace";
+
+// A share is a frozen copy of a workspace folder, compiled output included.
+const shareRoot = process.env.SHARES ?? `${import.meta.dir}/shares`;
+
+export function shareFolder(token: string): string {
+    return `${shareRoot}/${token}/`;
+}
+
+export async function shareExists(token: string): Promise<boolean> {
+    return isUuid(token) && await Bun.file(`${shareFolder(token)}index.html`).exists();
+}
+
+/**
+ * Freezes the current state of a workspace and returns the token of the share.
+ */
+export async function createShare(workspaceId: string): Promise<string> {
+    const token = crypto.randomUUID();
+    await cp(workspaceFolder(workspaceId), shareFolder(token), { recursive: true });
+    return token;
+}
+
+export async function readShare(token: string): Promise<Record<string, string>> {
+    return readFolder(shareFolder(token));
+}
+
+/**
+ * Replaces the files of a workspace with those of a share. What the workspace
+ * held before is stored in its history first, so it can be restored.
+ */
+export async function forkShare(token: string, workspaceId: string) {
+    const sharedFiles = await listFolder(shareFolder(token));
+
+    for (const [fileName, text] of Object.entries(await readFiles(workspaceId))) {
+        await addSnapshot(workspaceId, fileName, text);
+        if (!sharedFiles.includes(fileName)) await deleteFile(workspaceId, fileName);
+    }
+    await cp(shareFolder(token), workspaceFolder(workspaceId), { recursive: true, force: true });
+    for (const [fileName, text] of Object.entries(await readShare(token))) {
+        await saveFile(workspaceId, fileName, text);
+    }
+}
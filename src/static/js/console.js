@@ -0,0 +1,155 @@
+// What the level filter shows for each level, console.info() and console.debug() count as logs.
+const categories = { write: "write", log: "log", info: "log", debug: "log", warn: "warn", error: "error" };
+
+// The oldest entries are dropped, so a program logging on every update doesn't slow the editor down.
+const maxEntries = 1000;
+
+function formatTime(time) {
+    let date = new Date(time);
+    return `${date.toLocaleTimeString("sv")}.${String(date.getMilliseconds()).padStart(3, "0")}`;
+}
+
+/**
+ * The console under the editor, which shows what the preview writes and
+ * logs and its uncaught errors, as balder.js posts them. Stack frames are
+ * shown where they are in the TypeScript, and clicking one calls `onOpen`.
+ */
+export class ConsolePanel {
+    onOpen = (location) => {};
+    // Called with where an uncaught error was thrown, once that is known.
+    onUncaught = (location, message) => {};
+
+    constructor(root, sourceMaps) {
+        this.sourceMaps = sourceMaps;
+        this.list = root.querySelector("#console-list");
+        this.count = root.querySelector("#console-count");
+        this.level = root.querySelector("#console-level");
+        this.text = root.querySelector("#console-filter");
+        this.level.onchange = () => this.filter();
+        this.text.oninput = () => this.filter();
+        root.querySelector("#console-clear").onclick = () => this.clear();
+    }
+
+    add(message) {
+        if (message.console == "clear") {
+            this.clear();
+            return;
+        }
+
+        let item = document.createElement("li");
+        item.className = message.console;
+        item.dataset.category = categories[message.console] ?? "log";
+        let time = document.createElement("time");
+        time.textContent = formatTime(message.time);
+        item.appendChild(time);
+        if (message.uncaught) item.append("Uncaught ");
+        for (const arg of message.args) {
+            item.append(this.renderValue(arg), " ");
+        }
+        item.hidden = !this.matches(item);
+
+        // Errors point at the first place in the workspace they went through.
+        let frames = message.args.find((arg) => arg.frames?.length)?.frames;
+        if (frames) {
+            this.locateFirst(frames).then((location) => {
+                if (!location) return;
+                item.appendChild(this.renderLocation(location));
+                if (message.uncaught) this.onUncaught(location, message.args.map((arg) => arg.text).join(" "));
+            });
+        }
+
+        let atBottom = this.list.parentElement.scrollTop + this.list.parentElement.clientHeight >= this.list.parentElement.scrollHeight - 1;
+        this.list.appendChild(item);
+        while (this.list.children.length > maxEntries) this.list.firstElementChild.remove();
+        this.count.textContent = this.list.children.length;
+        if (atBottom) item.scrollIntoView({ block: "nearest" });
+    }
+
+    clear() {
+        this.list.innerHTML = "";
+        this.count.textContent = 0;
+    }
+
+    matches(item) {
+        let text = this.text.value.trim().toLowerCase();
+        return (!this.level.value || item.dataset.category == this.level.value)
+            && (!text || item.textContent.toLowerCase().includes(text));
+    }
+
+    filter() {
+        for (const item of this.list.children) item.hidden = !this.matches(item);
+    }
+
+    async locateFirst(frames) {
+        for (const frame of frames) {
+            let location = await this.sourceMaps.locate(frame.url, frame.line, frame.column);
+            if (location?.file.endsWith(".ts")) return location;
+        }
+        return null;
+    }
+
+    renderLocation(location) {
+        let link = document.createElement("a");
+        link.className = "location";
+        link.textContent = `${location.file}:${location.line}:${location.column}`;
+        link.onclick = (e) => {
+            e.preventDefault();
+            this.onOpen(location);
+        };
+        return link;
+    }
+
+    /**
+     * Renders a value as described by `_inspect()` in balder.js. What an
+     * object holds, and the stack of an error, are only rendered once it is
+     * unfolded.
+     */
+    renderValue(description, nested = false) {
+        if (!description.entries && !description.frames?.length) {
+            let value = document.createElement("span");
+            value.className = description.type;
+            value.textContent = nested && description.type == "string" ? JSON.stringify(description.text) : description.text;
+            return value;
+        }
+
+        let details = document.createElement("details");
+        details.className = description.type;
+        let summary = document.createElement("summary");
+        summary.textContent = description.text;
+        details.appendChild(summary);
+        details.addEventListener("toggle", () => {
+            if (details.children.length > 1) return;
+            if (description.frames?.length) {
+                details.appendChild(this.renderFrames(description.frames));
+                return;
+            }
+            let list = document.createElement("ul");
+            for (const [key, value] of description.entries) {
+                let item = document.createElement("li");
+                let name = document.createElement("span");
+                name.className = "key";
+                name.textContent = `${key}: `;
+                item.append(name, this.renderValue(value, true));
+                list.appendChild(item);
+            }
+            details.appendChild(list);
+        });
+        return details;
+    }
+
+    renderFrames(frames) {
+        let list = document.createElement("ul");
+        list.className = "frames";
+        for (const frame of frames) {
+            let item = document.createElement("li");
+            item.textContent = `at ${frame.name || "(anonymous)"} `;
+            list.appendChild(item);
+            this.sourceMaps.locate(frame.url, frame.line, frame.column).then((location) => {
+                // Frames outside the workspace, such as balder.js, keep their URL.
+                if (location?.file.endsWith(".ts")) item.appendChild(this.renderLocation(location));
+                else item.append(location ? `${location.file}:${location.line}:${location.column}` : frame.url);
+            });
+        }
+        return list;
+    }
+}
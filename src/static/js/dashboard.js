@@ -0,0 +1,42 @@
+import { Connection, socketUrl } from "./protocol.js";
+
+let connection = new Connection(socketUrl());
+
+let assignmentId = document.getElementById("assignmentId").innerText;
+let studentList = document.getElementById("students");
+let noStudents = document.getElementById("no-students");
+
+function addStudent(submission) {
+    if (studentList.querySelector(`[data-workspace="${submission.workspaceId}"]`)) return;
+
+    let item = document.createElement("li");
+    let link = document.createElement("a");
+    link.href = `/teacher/workspaces/${submission.workspaceId}`;
+    link.dataset.workspace = submission.workspaceId;
+
+    let preview = document.createElement("iframe");
+    preview.src = `${studentList.dataset.previewOrigin}/preview/${submission.workspaceId}/`;
+    preview.title = submission.studentName;
+    preview.sandbox = "allow-scripts";
+    preview.tabIndex = -1;
+    let name = document.createElement("span");
+    name.textContent = submission.studentName;
+
+    link.append(preview, name);
+    item.appendChild(link);
+    studentList.appendChild(item);
+    noStudents.hidden = true;
+}
+
+connection.send("watch", { assignment: assignmentId });
+
+connection.on("ran", (message) => {
+    let preview = studentList.querySelector(`[data-workspace="${message.workspace}"] iframe`);
+    if (preview) preview.src = preview.src + "";
+});
+connection.on("submission", (message) => {
+    addStudent(message.submission);
+    // Follows the new student's preview as well.
+    connection.send("watch", { assignment: assignmentId });
+});
+connection.on("error", (message) => alert(message.message));
@@ -1,9 +1,134 @@
-let ws = new WebSocket("ws://127.0.0.1:3200");
+import { ConsolePanel } from "./console.js";
+import { OperationClient, TextOperation } from "./ot.js";
+import { Connection, socketUrl } from "./protocol.js";
+import { SourceMaps } from "./sourceMap.js";
+
+// The server edits the workspace of the session cookie, whatever the page says.
+let connection = new Connection(socketUrl());
 
 let preview = document.getElementById("preview");
-let userId = document.getElementById("userId").innerText;
+let fileList = document.getElementById("files");
+let runButton = document.getElementById("run");
+let autoRunBox = document.getElementById("auto-run");
+let editorContainer = document.getElementById("editor-container");
+let historyPanel = document.getElementById("history");
+let snapshotList = document.getElementById("snapshots");
+let diffView = document.getElementById("diff-view");
+let diffTitle = document.getElementById("diff-title");
+let problemList = document.getElementById("problem-list");
+let problemCount = document.getElementById("problem-count");
+let testButton = document.getElementById("test");
+let testPanel = document.getElementById("tests");
+let testList = document.getElementById("test-list");
+let testCount = document.getElementById("test-count");
+let assetList = document.getElementById("assets");
+let assetDrop = document.getElementById("asset-drop");
+let assetInput = document.getElementById("asset-input");
+let watchdog = document.getElementById("watchdog");
+let pauseButton = document.getElementById("pause");
+let timeScaleSelect = document.getElementById("time-scale");
+let statsBox = document.getElementById("show-stats");
+
+const languages = { ts: "typescript", html: "html", css: "css" };
+
+let models = {};
+let clients = {};
+let assets = [];
+let currentFile = null;
+let diagnostics = [];
+
+// The selections of the other editors of the workspace, by their socket id.
+let cursors = {};
+
+function languageOf(fileName) {
+    return languages[fileName.split(".").pop()];
+}
+
+function fileNameOf(model) {
+    return model.uri.path.slice(1);
+}
+
+// The preview is on an origin of its own, see previewOrigin() on the server.
+const previewUrl = preview.src;
+let sourceMaps = new SourceMaps(previewUrl);
+let consolePanel = new ConsolePanel(document.getElementById("console"), sourceMaps);
+
+// How long the preview may go without an update before the program is taken to be stuck in a loop.
+const watchdogTimeout = 5000;
+let watchdogTimer = null;
 
-let baseContents = "console.log(\"This is base contents for the file\");";
+function watchPreview() {
+    clearTimeout(watchdogTimer);
+    watchdog.hidden = true;
+    watchdogTimer = setTimeout(() => {
+        // A hidden page gets no updates, stuck or not.
+        if (document.visibilityState == "visible") watchdog.hidden = false;
+        else watchPreview();
+    }, watchdogTimeout);
+}
+
+function reloadPreview() {
+    preview.src = previewUrl;
+    sourceMaps.clear();
+    consolePanel.clear();
+    watchPreview();
+}
+
+// What the loop controls are set to, a new run starts unpaused with the same speed and stats.
+let loopState = { paused: false, timeScale: 1, stats: false };
+
+function renderLoopControls() {
+    pauseButton.textContent = loopState.paused ? "▶ Resume" : "❚❚ Pause";
+    timeScaleSelect.value = loopState.timeScale;
+    statsBox.checked = loopState.stats;
+}
+
+// The preview is sandboxed and has no origin to send to.
+function controlLoop(message) {
+    preview.contentWindow?.postMessage(message, "*");
+}
+
+pauseButton.onclick = () => controlLoop({ loop: loopState.paused ? "resume" : "pause" });
+document.getElementById("step").onclick = () => controlLoop({ loop: "step" });
+timeScaleSelect.onchange = () => controlLoop({ loop: "set", timeScale: Number(timeScaleSelect.value) });
+statsBox.onchange = () => controlLoop({ loop: "set", stats: statsBox.checked });
+function previewLoaded() {
+    loopState.paused = false;
+    renderLoopControls();
+    if (loopState.timeScale != 1 || loopState.stats) controlLoop({ loop: "set", timeScale: loopState.timeScale, stats: loopState.stats });
+}
+preview.addEventListener("load", previewLoaded);
+
+window.addEventListener("message", (e) => {
+    if (e.source != preview.contentWindow) return;
+    // The update loop of balder.js says it is still going about once a second.
+    if (e.data?.frame) watchPreview();
+    if (e.data?.loop) {
+        loopState = e.data.loop;
+        renderLoopControls();
+    }
+    if (e.data?.console) {
+        consolePanel.add(e.data);
+        // An error in the update stops the loop without it being stuck, a new frame starts the watchdog again.
+        if (e.data.uncaught) clearTimeout(watchdogTimer);
+    }
+});
+document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState == "visible" && watchdog.hidden) watchPreview();
+});
+
+document.getElementById("stop").onclick = () => {
+    clearTimeout(watchdogTimer);
+    watchdog.hidden = true;
+    // A stuck page may never get to navigate away, so it is thrown out with its iframe.
+    let stopped = preview.cloneNode();
+    stopped.removeAttribute("src");
+    stopped.addEventListener("load", previewLoaded);
+    preview.replaceWith(stopped);
+    preview = stopped;
+};
+
+watchPreview();
 
 require.config({ paths: { 'vs': 'https://cdn.jsdelivr.net/npm/monaco-editor@0.27.0/min/vs' } });
 
@@ -15,34 +140,511 @@ require(['vs/editor/editor.main'], function () {
     colors: {}
     });
 
-    var editor = monaco.editor.create(document.getElementById('editor-container'), {
-        value: baseContents,
-        language: 'typescript',
-        theme: 'vs-dark'
+    var editor = monaco.editor.create(editorContainer, {
+        model: null,
+        theme: 'vs-dark',
+        automaticLayout: true
+    });
+
+    // Lets the TypeScript worker resolve imports between the models, e.g. `./player` to file:///player.ts.
+    monaco.languages.typescript.typescriptDefaults.setCompilerOptions({
+        target: monaco.languages.typescript.ScriptTarget.ES2020,
+        module: monaco.languages.typescript.ModuleKind.ESNext,
+        moduleResolution: monaco.languages.typescript.ModuleResolutionKind.NodeJs,
+        allowNonTsExtensions: true
+    });
+
+    // The server checks the whole workspace against balder.js, its diagnostics are shown instead.
+    monaco.languages.typescript.typescriptDefaults.setDiagnosticsOptions({
+        noSemanticValidation: true,
+        noSyntaxValidation: true
+    });
+
+    let balderTypes = null;
+
+    async function loadBalderTypes() {
+        let response = await fetch("/types/balder.d.ts");
+        let declarations = await response.text();
+        balderTypes?.dispose();
+        balderTypes = monaco.languages.typescript.typescriptDefaults.addExtraLib(declarations, "file:///balder.d.ts");
+    }
+
+    loadBalderTypes();
+
+    const severities = {
+        error: monaco.MarkerSeverity.Error,
+        warning: monaco.MarkerSeverity.Warning,
+        info: monaco.MarkerSeverity.Info
+    };
+
+    let applyingRemote = false;
+
+    function applyOperation(model, operation) {
+        let edits = operation.toChanges().map((change) => ({
+            range: monaco.Range.fromPositions(model.getPositionAt(change.rangeOffset), model.getPositionAt(change.rangeOffset + change.rangeLength)),
+            text: change.text
+        }));
+        applyingRemote = true;
+        try {
+            model.applyEdits(edits);
+        } finally {
+            applyingRemote = false;
+        }
+    }
+
+    function addModel(fileName, content, revision) {
+        let model = monaco.editor.createModel(content, languageOf(fileName), monaco.Uri.parse("file:///" + fileName));
+        let client = new OperationClient(revision,
+            (revision, operation) => connection.send("operation", { file: fileNameOf(model), revision, operation }),
+            (operation) => applyOperation(model, operation));
+
+        model.onDidChangeContent((e) => {
+            if (applyingRemote) return;
+            let changes = e.changes.map(({ rangeOffset, rangeLength, text }) => ({ rangeOffset, rangeLength, text }));
+            let length = model.getValueLength() - changes.reduce((sum, change) => sum + change.text.length - change.rangeLength, 0);
+            let operation = TextOperation.fromChanges(changes, length);
+            moveCursors(fileNameOf(model), operation);
+            client.applyLocal(operation);
+        });
+        models[fileName] = model;
+        clients[fileName] = client;
+    }
+
+    function removeModel(fileName) {
+        let model = models[fileName];
+        delete models[fileName];
+        delete clients[fileName];
+        if (currentFile == fileName) openFile(models["script.ts"] ? "script.ts" : Object.keys(models)[0]);
+        else renderFileTree();
+        model.dispose();
+    }
+
+    function openFile(fileName) {
+        currentFile = fileName;
+        editor.setModel(models[fileName] ?? null);
+        renderFileTree();
+        renderCursors();
+    }
+
+    function moveCursors(fileName, operation) {
+        for (const cursor of Object.values(cursors)) {
+            if (cursor.file != fileName) continue;
+            cursor.selections = cursor.selections.map((offsets) => offsets.map((offset) => operation.transformPosition(offset)));
+        }
+        if (fileName == currentFile) renderCursors();
+    }
+
+    let cursorDecorations = [];
+
+    function renderCursors() {
+        let model = editor.getModel();
+        let decorations = [];
+        for (const [id, cursor] of Object.entries(cursors)) {
+            if (!model || cursor.file != currentFile) continue;
+            let color = `remote-${id % 6}`;
+            for (const [anchor, head] of cursor.selections) {
+                let start = model.getPositionAt(Math.min(anchor, head));
+                let end = model.getPositionAt(Math.max(anchor, head));
+                let position = model.getPositionAt(head);
+                if (anchor != head) {
+                    decorations.push({ range: monaco.Range.fromPositions(start, end), options: { className: `remote-selection ${color}` } });
+                }
+                decorations.push({
+                    range: monaco.Range.fromPositions(position, position),
+                    options: {
+                        beforeContentClassName: `remote-cursor ${color}`,
+                        stickiness: monaco.editor.TrackedRangeStickiness.NeverGrowsWhenTypingAtEdges
+                    }
+                });
+            }
+        }
+        cursorDecorations = editor.deltaDecorations(cursorDecorations, decorations);
+    }
+
+    editor.onDidChangeCursorSelection(() => {
+        let model = editor.getModel();
+        if (!model) return;
+        let selections = editor.getSelections().map((selection) => [model.getOffsetAt(selection.getSelectionStart()), model.getOffsetAt(selection.getPosition())]);
+        connection.send("cursor", { file: currentFile, selections });
+    });
+
+    function renderFileTree() {
+        fileList.innerHTML = "";
+        for (const fileName of Object.keys(models).sort()) {
+            let item = document.createElement("li");
+            item.textContent = fileName;
+            item.title = "Double-click to rename";
+            if (fileName == currentFile) item.className = "active";
+            item.onclick = () => openFile(fileName);
+            item.ondblclick = () => {
+                let to = prompt("Rename file", fileName);
+                if (to && to != fileName) connection.send("renameFile", { file: fileName, to });
+            };
+
+            let remove = document.createElement("button");
+            remove.textContent = "×";
+            remove.title = "Delete";
+            remove.onclick = (e) => {
+                e.stopPropagation();
+                if (confirm(`Delete ${fileName}?`)) connection.send("deleteFile", { file: fileName });
+            };
+            item.appendChild(remove);
+
+            fileList.appendChild(item);
+        }
+    }
+
+    function showDiagnostics() {
+        for (const fileName of Object.keys(models)) {
+            let markers = diagnostics.filter((d) => d.file == fileName).map((d) => ({
+                severity: severities[d.severity],
+                message: d.message,
+                startLineNumber: d.line,
+                startColumn: d.column,
+                endLineNumber: d.endLine,
+                endColumn: d.endColumn
+            }));
+            monaco.editor.setModelMarkers(models[fileName], "balder", markers);
+        }
+
+        problemList.innerHTML = "";
+        problemCount.textContent = diagnostics.length;
+        for (const d of diagnostics) {
+            let item = document.createElement("li");
+            item.className = d.severity;
+            item.textContent = `${d.file}:${d.line}:${d.column} ${d.message}`;
+            item.onclick = () => goTo(d.file, d.line, d.column);
+            problemList.appendChild(item);
+        }
+    }
+
+    function goTo(fileName, line, column) {
+        if (!models[fileName]) return;
+        openFile(fileName);
+        editor.setPosition({ lineNumber: line, column });
+        editor.revealLineInCenter(line);
+        editor.focus();
+    }
+
+    // The line an uncaught error of the preview was thrown on, until the next run.
+    let errorLine = { model: null, decorations: [] };
+
+    function clearErrorLine() {
+        if (errorLine.model && !errorLine.model.isDisposed()) errorLine.model.deltaDecorations(errorLine.decorations, []);
+        errorLine = { model: null, decorations: [] };
+    }
+
+    consolePanel.onOpen = (location) => goTo(location.file, location.line, location.column);
+    consolePanel.onUncaught = (location, message) => {
+        clearErrorLine();
+        let model = models[location.file];
+        if (!model) return;
+        errorLine = {
+            model,
+            decorations: model.deltaDecorations([], [{
+                range: new monaco.Range(location.line, 1, location.line, 1),
+                options: { isWholeLine: true, className: "error-line", hoverMessage: { value: message } }
+            }])
+        };
+        if (currentFile != location.file) return;
+        editor.revealLineInCenterIfOutsideViewport(location.line);
+    };
+
+    function formatSize(size) {
+        return size < 1024 * 1024 ? `${Math.ceil(size / 1024)} kB` : `${(size / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    function renderAssets() {
+        assetList.innerHTML = "";
+        for (const asset of assets) {
+            let item = document.createElement("li");
+            item.title = `${asset.path}, ${formatSize(asset.size)}\nClick to insert the path`;
+
+            let thumbnail = document.createElement("img");
+            thumbnail.src = `${previewUrl}${asset.path}?v=${asset.modified}`;
+            thumbnail.alt = "";
+            let name = document.createElement("span");
+            name.textContent = asset.name;
+            let remove = document.createElement("button");
+            remove.textContent = "×";
+            remove.title = "Delete";
+            remove.onclick = (e) => {
+                e.stopPropagation();
+                if (confirm(`Delete ${asset.name}?`)) connection.send("deleteAsset", { name: asset.name });
+            };
+            item.append(thumbnail, name, remove);
+
+            item.onclick = () => {
+                editor.trigger("assets", "type", { text: JSON.stringify(asset.path) });
+                editor.focus();
+            };
+            assetList.appendChild(item);
+        }
+    }
+
+    async function uploadAssets(files) {
+        if (files.length == 0) return;
+        let form = new FormData();
+        for (const file of files) form.append("file", file);
+
+        let response = await fetch("/assets", { method: "POST", body: form });
+        let json = await response.json();
+        if (json.error) alert(json.error);
+        else assets = json.assets;
+        renderAssets();
+    }
+
+    assetInput.onchange = () => {
+        uploadAssets(assetInput.files);
+        assetInput.value = "";
+    };
+    assetDrop.ondragover = (e) => {
+        e.preventDefault();
+        assetDrop.classList.add("dragging");
+    };
+    assetDrop.ondragleave = () => assetDrop.classList.remove("dragging");
+    assetDrop.ondrop = (e) => {
+        e.preventDefault();
+        assetDrop.classList.remove("dragging");
+        uploadAssets(e.dataTransfer.files);
+    };
+
+    // Offers the uploaded assets inside the strings given to image(), new Sprite() and cell.image.
+    monaco.languages.registerCompletionItemProvider("typescript", {
+        triggerCharacters: ['"', "'", "`", "/"],
+        provideCompletionItems(model, position) {
+            let before = model.getValueInRange(new monaco.Range(position.lineNumber, 1, position.lineNumber, position.column));
+            let match = before.match(/(?:\bimage\s*\(|\bnew\s+Sprite\s*\(|\.image\s*=)\s*["'`]([^"'`]*)$/);
+            if (!match) return { suggestions: [] };
+
+            let range = new monaco.Range(position.lineNumber, position.column - match[1].length, position.lineNumber, position.column);
+            return {
+                suggestions: assets.map((asset) => ({
+                    label: asset.path,
+                    kind: monaco.languages.CompletionItemKind.File,
+                    detail: formatSize(asset.size),
+                    insertText: asset.path,
+                    range
+                }))
+            };
+        }
     });
 
-    monaco.editor.lanugages.typescript.addExtraLibs(`
-        declare function dot(x:number, y:number): void;
-    `)
+    function run() {
+        connection.send("run");
+    }
+
+    function sendAutoRun() {
+        connection.send("autoRun", { enabled: autoRunBox.checked });
+    }
+
+    autoRunBox.checked = localStorage.getItem("autoRun") != "false";
+    autoRunBox.onchange = () => {
+        localStorage.setItem("autoRun", autoRunBox.checked);
+        sendAutoRun();
+    };
+    runButton.onclick = run;
+    editor.addCommand(monaco.KeyMod.CtrlCmd | monaco.KeyCode.Enter, run);
+
+    let snapshots = [];
+    let viewedSnapshot = null;
+    let diffEditor = null;
+    let restoreButton = document.getElementById("restore");
+
+    function renderSnapshots() {
+        snapshotList.innerHTML = "";
+        for (const snapshot of snapshots) {
+            let item = document.createElement("li");
+            item.innerHTML = `<span></span><time></time><span class="added">+${snapshot.added}</span> <span class="removed">−${snapshot.removed}</span>`;
+            item.children[0].textContent = snapshot.file;
+            item.children[1].textContent = new Date(snapshot.time).toLocaleString("sv");
+            item.onclick = () => connection.request("snapshot", { snapshot: snapshot.id })
+                .then((reply) => showSnapshot(reply.snapshot), (error) => alert(error.message));
+            snapshotList.appendChild(item);
+        }
+    }
+
+    function showDiff(title, original, modified, language) {
+        editorContainer.hidden = true;
+        diffView.hidden = false;
+        diffTitle.textContent = title;
 
-    editor.onDidChangeModelContent((e) => {
-        preview.src = preview.src + "";
-        let JSONData = { user: userId, fileContents: editor.getValue().split("\n") };
-        ws.send(JSON.stringify(JSONData));
-    })
+        if (!diffEditor) {
+            diffEditor = monaco.editor.createDiffEditor(document.getElementById("diff-container"), {
+                readOnly: true,
+                theme: 'vs-dark',
+                automaticLayout: true
+            });
+        }
+        let previous = diffEditor.getModel();
+        diffEditor.setModel({
+            original: monaco.editor.createModel(original, language),
+            modified: monaco.editor.createModel(modified, language)
+        });
+        if (previous) {
+            previous.original.dispose();
+            previous.modified.dispose();
+        }
+    }
+
+    function showSnapshot(snapshot) {
+        viewedSnapshot = snapshot;
+        restoreButton.hidden = false;
+        let title = `${snapshot.file} ${new Date(snapshot.time).toLocaleString("sv")} ↔ now`;
+        showDiff(title, snapshot.text, models[snapshot.file]?.getValue() ?? "", languageOf(snapshot.file));
+    }
+
+    function closeSnapshot() {
+        viewedSnapshot = null;
+        diffView.hidden = true;
+        editorContainer.hidden = false;
+    }
+
+    document.getElementById("history-toggle").onclick = () => {
+        historyPanel.hidden = !historyPanel.hidden;
+        if (historyPanel.hidden) return;
+        connection.request("history").then((reply) => {
+            snapshots = reply.snapshots;
+            renderSnapshots();
+        }, (error) => alert(error.message));
+    };
+    document.getElementById("close-diff").onclick = closeSnapshot;
+    restoreButton.onclick = () => {
+        connection.request("restore", { snapshot: viewedSnapshot.id })
+            .then((reply) => openFile(reply.file), (error) => alert(error.message));
+        closeSnapshot();
+    };
 
-    ws.onmessage = (e) => {
-        let json = JSON.parse(e.data);
-        if (json.reload) preview.src = preview.src + "";
-        if (json.resume) {
-            let content = json.content;
-            let model = monaco.editor.createModel(content.join("\n"), "typescript");
-            editor.setModel(model);
+    function renderTests(results) {
+        testPanel.hidden = false;
+        testCount.textContent = `${results.filter((result) => result.passed).length}/${results.length}`;
+        testList.innerHTML = "";
+        for (const result of results) {
+            let item = document.createElement("li");
+            item.className = result.passed ? "passed" : "failed";
+            item.textContent = result.error ? `${result.name}: ${result.error}` : result.name;
+            if (!result.passed) {
+                // The output of the program against what it should have been.
+                item.onclick = () => {
+                    viewedSnapshot = null;
+                    restoreButton.hidden = true;
+                    showDiff(`${result.name}: expected ↔ output`, result.expected, result.actual, "plaintext");
+                };
+            }
+            testList.appendChild(item);
         }
     }
-    
-    ws.onopen = () => {
-        ws.send(JSON.stringify({"resume": true, "userId": userId}));
+
+    if (testButton) {
+        testButton.onclick = async () => {
+            testButton.disabled = true;
+            try {
+                renderTests((await connection.request("test")).results);
+            } catch (error) {
+                alert(error.message);
+            } finally {
+                testButton.disabled = false;
+            }
+        };
     }
-    
-});
\ No newline at end of file
+
+    document.getElementById("invite").onclick = () => {
+        connection.request("invite")
+            .then((reply) => prompt("Send this link to edit together", `${location.origin}/join/${reply.token}`), (error) => alert(error.message));
+    };
+
+    document.getElementById("revoke-invite").onclick = () => {
+        if (!confirm("Stop the invite links sent so far from working? Whoever already joined keeps editing.")) return;
+        connection.request("revokeInvite").catch((error) => alert(error.message));
+    };
+
+    document.getElementById("share").onclick = () => {
+        connection.request("share")
+            .then((reply) => prompt("Share this link", `${location.origin}/share/${reply.token}`), (error) => alert(error.message));
+    };
+
+    // Files created by the other editors are added without switching to them.
+    let requestedFile = null;
+
+    document.getElementById("new-file").onclick = () => {
+        let fileName = prompt("File name, e.g. player.ts", "");
+        requestedFile = fileName;
+        if (fileName) connection.send("createFile", { file: fileName });
+    };
+
+    connection.on("reload", () => {
+        clearErrorLine();
+        reloadPreview();
+    });
+    connection.on("types", loadBalderTypes);
+    connection.on("operation", (message) => {
+        if (!clients[message.file]) return;
+        let operation = clients[message.file].applyRemote(TextOperation.fromJSON(message.operation));
+        moveCursors(message.file, operation);
+    });
+    connection.on("ack", (message) => clients[message.file]?.acknowledge());
+    connection.on("resync", (message) => {
+        if (!models[message.file]) return;
+        // The server lost track of this editor's edits, so its text wins.
+        let model = models[message.file];
+        addModel(message.file, message.content.join("\n"), message.revision);
+        if (currentFile == message.file) openFile(message.file);
+        model.dispose();
+    });
+    connection.on("cursor", (message) => {
+        cursors[message.from] = { file: message.file, selections: message.selections };
+        if (message.file == currentFile) renderCursors();
+    });
+    connection.on("left", (message) => {
+        delete cursors[message.from];
+        renderCursors();
+    });
+    connection.on("diagnostics", (message) => {
+        diagnostics = message.diagnostics;
+        showDiagnostics();
+    });
+    connection.on("created", (message) => {
+        if (models[message.file]) return;
+        addModel(message.file, "", 0);
+        if (message.file == requestedFile) openFile(message.file);
+        else renderFileTree();
+    });
+    connection.on("renamed", (message) => {
+        if (!models[message.file]) return;
+        // Edits still on their way under the old name are dropped, the server's text is what was saved.
+        addModel(message.to, message.content.join("\n"), message.revision);
+        if (currentFile == message.file) openFile(message.to);
+        removeModel(message.file);
+        for (const cursor of Object.values(cursors)) {
+            if (cursor.file == message.file) cursor.file = message.to;
+        }
+    });
+    connection.on("deleted", (message) => {
+        if (models[message.file]) removeModel(message.file);
+    });
+    connection.on("assets", (message) => {
+        assets = message.assets;
+        renderAssets();
+    });
+    connection.on("snapshotAdded", (message) => {
+        snapshots.unshift(message.snapshot);
+        renderSnapshots();
+    });
+    connection.on("error", (message) => alert(message.message));
+
+    connection.request("resume").then((reply) => {
+        editor.setModel(null);
+        for (const fileName of Object.keys(models)) models[fileName].dispose();
+        models = {};
+        clients = {};
+        cursors = {};
+        for (const [fileName, file] of Object.entries(reply.files)) {
+            addModel(fileName, file.content.join("\n"), file.revision);
+        }
+        openFile(models["script.ts"] ? "script.ts" : Object.keys(models)[0]);
+        showDiagnostics();
+        sendAutoRun();
+        assets = reply.assets;
+        renderAssets();
+    }, (error) => alert(error.message));
+});
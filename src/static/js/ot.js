@@ -0,0 +1,297 @@
+/**
+ * An edit of a whole text as a list of retained characters (positive
+ * numbers), inserted strings and deleted characters (negative numbers), as in
+ * ot.js. Two operations made against the same text can be transformed so
+ * that applying them in either order gives the same result, which is how the
+ * editors of one workspace stay in step.
+ *
+ * Shared by the browser and the server, so it is plain JavaScript.
+ */
+export class TextOperation {
+    ops = [];
+    baseLength = 0;
+    targetLength = 0;
+
+    retain(n) {
+        if (n <= 0) return this;
+        this.baseLength += n;
+        this.targetLength += n;
+        const last = this.ops.length - 1;
+        if (typeof this.ops[last] == "number" && this.ops[last] > 0) this.ops[last] += n;
+        else this.ops.push(n);
+        return this;
+    }
+
+    insert(text) {
+        if (text == "") return this;
+        this.targetLength += text.length;
+        const ops = this.ops;
+        const last = ops.length - 1;
+        if (typeof ops[last] == "string") {
+            ops[last] += text;
+        } else if (typeof ops[last] == "number" && ops[last] < 0) {
+            // Inserts go before deletes, so equal operations always look the same.
+            if (typeof ops[last - 1] == "string") ops[last - 1] += text;
+            else ops.splice(last, 0, text);
+        } else {
+            ops.push(text);
+        }
+        return this;
+    }
+
+    delete(n) {
+        if (n <= 0) return this;
+        this.baseLength += n;
+        const last = this.ops.length - 1;
+        if (typeof this.ops[last] == "number" && this.ops[last] < 0) this.ops[last] -= n;
+        else this.ops.push(-n);
+        return this;
+    }
+
+    isNoop() {
+        return this.ops.length == 0 || (this.ops.length == 1 && this.ops[0] > 0);
+    }
+
+    apply(text) {
+        if (text.length != this.baseLength) throw new Error("The operation doesn't fit the text");
+
+        const parts = [];
+        let index = 0;
+        for (const op of this.ops) {
+            if (typeof op == "string") {
+                parts.push(op);
+            } else if (op > 0) {
+                parts.push(text.slice(index, index + op));
+                index += op;
+            } else {
+                index -= op;
+            }
+        }
+        return parts.join("");
+    }
+
+    /**
+     * Returns one operation with the effect of this one followed by `other`.
+     */
+    compose(other) {
+        if (this.targetLength != other.baseLength) throw new Error("The operations can't be composed");
+
+        const result = new TextOperation();
+        const a = this.ops.slice();
+        const b = other.ops.slice();
+        let i = 0;
+        let j = 0;
+        let opA = a[i++];
+        let opB = b[j++];
+
+        while (opA !== undefined || opB !== undefined) {
+            if (typeof opA == "number" && opA < 0) {
+                result.delete(-opA);
+                opA = a[i++];
+            } else if (typeof opB == "string") {
+                result.insert(opB);
+                opB = b[j++];
+            } else if (typeof opA == "string") {
+                if (opB > 0) {
+                    const length = Math.min(opA.length, opB);
+                    result.insert(opA.slice(0, length));
+                    opA = opA.length > length ? opA.slice(length) : a[i++];
+                    opB = opB > length ? opB - length : b[j++];
+                } else {
+                    const length = Math.min(opA.length, -opB);
+                    opA = opA.length > length ? opA.slice(length) : a[i++];
+                    opB = -opB > length ? opB + length : b[j++];
+                }
+            } else if (opB > 0) {
+                const length = Math.min(opA, opB);
+                result.retain(length);
+                opA = opA > length ? opA - length : a[i++];
+                opB = opB > length ? opB - length : b[j++];
+            } else {
+                const length = Math.min(opA, -opB);
+                result.delete(length);
+                opA = opA > length ? opA - length : a[i++];
+                opB = -opB > length ? opB + length : b[j++];
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Moves a cursor offset in the text before the operation to where it is
+     * after it.
+     */
+    transformPosition(position) {
+        let index = 0;
+        let moved = position;
+        for (const op of this.ops) {
+            if (index > position) break;
+            if (typeof op == "string") {
+                moved += op.length;
+            } else if (op > 0) {
+                index += op;
+            } else {
+                moved -= Math.min(-op, position - index);
+                index -= op;
+            }
+        }
+        return moved;
+    }
+
+    /**
+     * Transforms two operations made against the same text into `[a', b']`,
+     * where `a` followed by `b'` equals `b` followed by `a'`. When both insert
+     * at the same place, the text of `a` ends up first.
+     */
+    static transform(a, b) {
+        if (a.baseLength != b.baseLength) throw new Error("The operations weren't made against the same text");
+
+        const aPrime = new TextOperation();
+        const bPrime = new TextOperation();
+        const opsA = a.ops;
+        const opsB = b.ops;
+        let i = 0;
+        let j = 0;
+        let opA = opsA[i++];
+        let opB = opsB[j++];
+
+        while (opA !== undefined || opB !== undefined) {
+            if (typeof opA == "string") {
+                aPrime.insert(opA);
+                bPrime.retain(opA.length);
+                opA = opsA[i++];
+            } else if (typeof opB == "string") {
+                aPrime.retain(opB.length);
+                bPrime.insert(opB);
+                opB = opsB[j++];
+            } else if (opA > 0 && opB > 0) {
+                const length = Math.min(opA, opB);
+                aPrime.retain(length);
+                bPrime.retain(length);
+                opA = opA > length ? opA - length : opsA[i++];
+                opB = opB > length ? opB - length : opsB[j++];
+            } else if (opA < 0 && opB < 0) {
+                // Both deleted the same characters, neither has to do it again.
+                const length = Math.min(-opA, -opB);
+                opA = -opA > length ? opA + length : opsA[i++];
+                opB = -opB > length ? opB + length : opsB[j++];
+            } else if (opA < 0) {
+                const length = Math.min(-opA, opB);
+                aPrime.delete(length);
+                opA = -opA > length ? opA + length : opsA[i++];
+                opB = opB > length ? opB - length : opsB[j++];
+            } else {
+                const length = Math.min(opA, -opB);
+                bPrime.delete(length);
+                opA = opA > length ? opA - length : opsA[i++];
+                opB = -opB > length ? opB + length : opsB[j++];
+            }
+        }
+        return [aPrime, bPrime];
+    }
+
+    /**
+     * Builds an operation from the changes of one Monaco `onDidChangeContent`
+     * event. All their offsets refer to the text of `length` characters the
+     * event started from.
+     */
+    static fromChanges(changes, length) {
+        const operation = new TextOperation();
+        let index = 0;
+        for (const change of [...changes].sort((a, b) => a.rangeOffset - b.rangeOffset)) {
+            operation.retain(change.rangeOffset - index);
+            operation.delete(change.rangeLength);
+            operation.insert(change.text);
+            index = change.rangeOffset + change.rangeLength;
+        }
+        return operation.retain(length - index);
+    }
+
+    /**
+     * The reverse of `fromChanges`, with offsets into the text before the
+     * operation, the way Monaco's `applyEdits` expects them.
+     */
+    toChanges() {
+        const changes = [];
+        let index = 0;
+        for (const op of this.ops) {
+            const last = changes[changes.length - 1];
+            const touching = last && last.rangeOffset + last.rangeLength == index;
+            if (typeof op == "string") {
+                if (touching) last.text += op;
+                else changes.push({ rangeOffset: index, rangeLength: 0, text: op });
+            } else if (op > 0) {
+                index += op;
+            } else {
+                if (touching) last.rangeLength -= op;
+                else changes.push({ rangeOffset: index, rangeLength: -op, text: "" });
+                index -= op;
+            }
+        }
+        return changes;
+    }
+
+    toJSON() {
+        return this.ops;
+    }
+
+    static fromJSON(ops) {
+        if (!Array.isArray(ops)) throw new Error("An operation has to be a list");
+
+        const operation = new TextOperation();
+        for (const op of ops) {
+            if (typeof op == "string") operation.insert(op);
+            else if (Number.isInteger(op) && op > 0) operation.retain(op);
+            else if (Number.isInteger(op) && op < 0) operation.delete(-op);
+            else throw new Error("An operation can only hold strings and integers");
+        }
+        return operation;
+    }
+}
+
+/**
+ * Keeps one editor model in step with the server: at most one operation is
+ * sent at a time, and edits made while it is on its way are collected until
+ * the server has acknowledged it. Operations from the other editors are
+ * transformed past whatever is still unacknowledged before they are applied.
+ */
+export class OperationClient {
+    outstanding = null;
+    buffer = null;
+
+    constructor(revision, send, apply) {
+        this.revision = revision;
+        this.send = send;
+        this.apply = apply;
+    }
+
+    applyLocal(operation) {
+        if (this.buffer) {
+            this.buffer = this.buffer.compose(operation);
+        } else if (this.outstanding) {
+            this.buffer = operation;
+        } else {
+            this.outstanding = operation;
+            this.send(this.revision, operation);
+        }
+    }
+
+    applyRemote(operation) {
+        this.revision++;
+        if (this.outstanding) {
+            [this.outstanding, operation] = TextOperation.transform(this.outstanding, operation);
+        }
+        if (this.buffer) {
+            [this.buffer, operation] = TextOperation.transform(this.buffer, operation);
+        }
+        this.apply(operation);
+        return operation;
+    }
+
+    acknowledge() {
+        this.revision++;
+        this.outstanding = this.buffer;
+        this.buffer = null;
+        if (this.outstanding) this.send(this.revision, this.outstanding);
+    }
+}
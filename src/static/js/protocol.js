@@ -0,0 +1,75 @@
+/**
+ * The version of the websocket protocol. Every message is an envelope with
+ * the `version`, a `type` and, from the browser, an `id` that the server's
+ * reply carries as `replyTo`.
+ *
+ * Shared by the browser and the server, so it is plain JavaScript.
+ */
+export const protocolVersion = 1;
+
+/**
+ * The socket of the server that served the page, encrypted if the page is,
+ * as browsers don't let a page on https open a plain one.
+ */
+export function socketUrl() {
+    return `${location.protocol == "https:" ? "wss" : "ws"}://${location.host}`;
+}
+
+/**
+ * A socket to the server that speaks the protocol. Messages sent before it
+ * has opened wait until it has.
+ */
+export class Connection {
+    nextId = 1;
+    // Requests waiting for their reply, by id.
+    pending = new Map();
+    handlers = {};
+
+    constructor(url) {
+        this.socket = new WebSocket(url);
+        this.opened = new Promise((resolve) => this.socket.addEventListener("open", resolve));
+        this.socket.onmessage = (e) => this.receive(JSON.parse(e.data));
+    }
+
+    /**
+     * Handles the messages of a type that aren't the reply to a request.
+     */
+    on(type, handler) {
+        this.handlers[type] = handler;
+    }
+
+    send(type, payload = {}) {
+        let id = this.nextId++;
+        let text = JSON.stringify({ version: protocolVersion, type, id, ...payload });
+        if (this.socket.readyState == WebSocket.OPEN) this.socket.send(text);
+        else this.opened.then(() => this.socket.send(text));
+        return id;
+    }
+
+    /**
+     * Sends a message and waits for the reply to it, which is thrown if it
+     * is an error.
+     */
+    request(type, payload = {}) {
+        return new Promise((resolve, reject) => {
+            this.pending.set(this.send(type, payload), { resolve, reject });
+        });
+    }
+
+    receive(message) {
+        // The server was updated since the page was loaded.
+        if (message.type == "error" && message.code == "unsupported-version") {
+            location.reload();
+            return;
+        }
+
+        let pending = this.pending.get(message.replyTo);
+        if (pending) {
+            this.pending.delete(message.replyTo);
+            if (message.type == "error") pending.reject(new Error(message.message));
+            else pending.resolve(message);
+            return;
+        }
+        this.handlers[message.type]?.(message);
+    }
+}
@@ -0,0 +1,57 @@
+let filesUrl = document.getElementById("filesUrl").innerText;
+let fileList = document.getElementById("files");
+let editorContainer = document.getElementById("editor-container");
+
+const languages = { ts: "typescript", html: "html", css: "css" };
+
+let models = {};
+let currentFile = null;
+
+function languageOf(fileName) {
+    return languages[fileName.split(".").pop()];
+}
+
+require.config({ paths: { 'vs': 'https://cdn.jsdelivr.net/npm/monaco-editor@0.27.0/min/vs' } });
+
+require(['vs/editor/editor.main'], async function () {
+    var editor = monaco.editor.create(editorContainer, {
+        model: null,
+        theme: 'vs-dark',
+        readOnly: true,
+        automaticLayout: true
+    });
+
+    monaco.languages.typescript.typescriptDefaults.setCompilerOptions({
+        target: monaco.languages.typescript.ScriptTarget.ES2020,
+        module: monaco.languages.typescript.ModuleKind.ESNext,
+        moduleResolution: monaco.languages.typescript.ModuleResolutionKind.NodeJs,
+        allowNonTsExtensions: true
+    });
+
+    let types = await fetch("/types/balder.d.ts");
+    monaco.languages.typescript.typescriptDefaults.addExtraLib(await types.text(), "file:///balder.d.ts");
+
+    function openFile(fileName) {
+        currentFile = fileName;
+        editor.setModel(models[fileName]);
+        renderFileTree();
+    }
+
+    function renderFileTree() {
+        fileList.innerHTML = "";
+        for (const fileName of Object.keys(models).sort()) {
+            let item = document.createElement("li");
+            item.textContent = fileName;
+            if (fileName == currentFile) item.className = "active";
+            item.onclick = () => openFile(fileName);
+            fileList.appendChild(item);
+        }
+    }
+
+    let response = await fetch(filesUrl);
+    let files = await response.json();
+    for (const [fileName, content] of Object.entries(files)) {
+        models[fileName] = monaco.editor.createModel(content, languageOf(fileName), monaco.Uri.parse("file:///" + fileName));
+    }
+    openFile(models["script.ts"] ? "script.ts" : Object.keys(models)[0]);
+});
@@ -0,0 +1,90 @@
+const base64 = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+/**
+ * Decodes the `mappings` of a source map into the segments of every line of
+ * the compiled file, each as [column, source, line, column] counted from 0.
+ */
+export function decodeMappings(mappings) {
+    let lines = [];
+    let source = 0;
+    let line = 0;
+    let column = 0;
+    for (const text of mappings.split(";")) {
+        let segments = [];
+        let generatedColumn = 0;
+        for (const segment of text.split(",")) {
+            if (!segment) continue;
+            // Base64 VLQ: 5 bits a digit, a continuation bit, and the sign in the lowest bit.
+            let values = [];
+            let value = 0;
+            let shift = 0;
+            for (const char of segment) {
+                let digit = base64.indexOf(char);
+                value += (digit & 31) << shift;
+                if (digit & 32) {
+                    shift += 5;
+                    continue;
+                }
+                values.push(value & 1 ? -(value >>> 1) : value >>> 1);
+                value = 0;
+                shift = 0;
+            }
+            generatedColumn += values[0];
+            if (values.length >= 4) {
+                source += values[1];
+                line += values[2];
+                column += values[3];
+                segments.push([generatedColumn, source, line, column]);
+            }
+        }
+        lines.push(segments);
+    }
+    return lines;
+}
+
+/**
+ * Finds where a position in a compiled file of the preview was written,
+ * with the source maps the server compiles into the files.
+ */
+export class SourceMaps {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+        this.maps = new Map();
+    }
+
+    // The files are compiled again before every run.
+    clear() {
+        this.maps.clear();
+    }
+
+    load(url) {
+        if (!this.maps.has(url)) {
+            this.maps.set(url, fetch(url)
+                .then((response) => response.text())
+                .then((code) => {
+                    let match = code.match(/\/\/# sourceMappingURL=data:application\/json;base64,(\S+)\s*$/);
+                    if (!match) return null;
+                    let map = JSON.parse(atob(match[1]));
+                    return { sources: map.sources.map((source) => new URL(source, url).href), lines: decodeMappings(map.mappings) };
+                })
+                .catch(() => null));
+        }
+        return this.maps.get(url);
+    }
+
+    /**
+     * The file of the workspace, line and column of a position in a stack
+     * frame of the preview, all counted from 1, or `null` for a file that
+     * isn't the workspace's.
+     */
+    async locate(url, line, column) {
+        if (!url.startsWith(this.baseUrl)) return null;
+        url = url.split(/[?#]/)[0];
+
+        let map = url.endsWith(".js") ? await this.load(url) : null;
+        let segments = map?.lines[line - 1] ?? [];
+        let segment = segments.findLast((segment) => segment[0] <= column - 1) ?? segments[0];
+        if (!segment) return { file: url.slice(this.baseUrl.length), line, column };
+        return { file: map.sources[segment[1]].slice(this.baseUrl.length), line: segment[2] + 1, column: segment[3] + 1 };
+    }
+}
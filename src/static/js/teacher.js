@@ -0,0 +1,9 @@
+// Adds another empty test case to the form of a new assignment.
+for (const button of document.querySelectorAll(".add-test-case")) {
+    button.onclick = () => {
+        let testCase = button.parentElement.querySelector(".test-case:last-of-type").cloneNode(true);
+        for (const field of testCase.querySelectorAll("input, textarea")) field.value = "";
+        button.before(testCase);
+        testCase.querySelector("input").focus();
+    };
+}
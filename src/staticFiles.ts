@@ -0,0 +1,69 @@
+import { stat } from "fs/promises";
+import path from "path";
+
+// Bun takes .ts for a script, but student sources are only ever shown as text.
+const contentTypes: Record<string, string> = {
+    ".ts": "text/plain;charset=utf-8",
+};
+
+/**
+ * Resolves a URL path below `root`, or returns `undefined` if it would end up
+ * outside it, e.g. through `..` or an encoded slash.
+ */
+export function resolvePath(root: string, urlPath: string): string | undefined {
+    let segments: string[];
+    try {
+        segments = urlPath.split("/").map(decodeURIComponent);
+    } catch {
+        return undefined;
+    }
+    if (segments.some((segment) => segment == ".." || segment.includes("/") || segment.includes("\\") || segment.includes("\0"))) {
+        return undefined;
+    }
+
+    const base = path.resolve(root);
+    const resolved = path.resolve(base, ...segments.filter((segment) => segment && segment != "."));
+    return resolved.startsWith(base + path.sep) ? resolved : undefined;
+}
+
+function notFound(): Response {
+    return new Response("404", { status: 404 });
+}
+
+/**
+ * Serves a file below `root`. A path ending in `/` serves its index.html.
+ * Responses carry an ETag and Last-Modified but have to be revalidated every
+ * time, so a preview never shows an old build.
+ */
+export async function serveFile(root: string, urlPath: string, req: Request): Promise<Response> {
+    if (urlPath == "" || urlPath.endsWith("/")) urlPath += "index.html";
+
+    const filePath = resolvePath(root, urlPath);
+    if (!filePath) return notFound();
+
+    const stats = await stat(filePath).catch(() => undefined);
+    if (!stats?.isFile()) return notFound();
+
+    const lastModified = new Date(Math.floor(stats.mtimeMs / 1000) * 1000);
+    const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    const file = Bun.file(filePath);
+    const headers = new Headers({
+        "Content-Type": contentTypes[path.extname(filePath)] ?? file.type,
+        "Content-Length": String(stats.size),
+        "ETag": etag,
+        "Last-Modified": lastModified.toUTCString(),
+        "Cache-Control": "no-cache",
+    });
+
+    const ifNoneMatch = req.headers.get("If-None-Match");
+    const ifModifiedSince = req.headers.get("If-Modified-Since");
+    const notModified = ifNoneMatch != null
+        ? ifNoneMatch.split(",").some((tag) => tag.trim() == etag || tag.trim() == "*")
+        : ifModifiedSince != null && Date.parse(ifModifiedSince) >= lastModified.getTime();
+    if (notModified) {
+        headers.delete("Content-Length");
+        return new Response(null, { status: 304, headers });
+    }
+
+    return new Response(req.method == "HEAD" ? null : file, { headers });
+}
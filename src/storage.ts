@@ -0,0 +1,348 @@
+import { Database } from "bun:sqlite";
+import { mkdirSync } from "fs";
+import path from "path";
+import type { Assignment, Classroom, Student, Submission, Teacher, TestCase } from "./classroom";
+import type { Snapshot, SnapshotSummary } from "./history";
+
+// Each entry upgrades the database by one version, the current one is stored as its user_version.
+const migrations = [
+    `CREATE TABLE workspaces (
+        id TEXT PRIMARY KEY,
+        created INTEGER NOT NULL,
+        updated INTEGER NOT NULL
+    );
+    CREATE TABLE files (
+        workspace_id TEXT NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        content TEXT NOT NULL,
+        PRIMARY KEY (workspace_id, name)
+    );
+    CREATE TABLE snapshots (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+        file TEXT NOT NULL,
+        time INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        diff TEXT NOT NULL,
+        added INTEGER NOT NULL,
+        removed INTEGER NOT NULL
+    );
+    CREATE INDEX snapshots_by_workspace ON snapshots (workspace_id, time);
+    CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL REFERENCES workspaces (id) ON DELETE CASCADE,
+        expires INTEGER NOT NULL
+    );
+    CREATE INDEX sessions_by_expiry ON sessions (expires);`,
+
+    `CREATE TABLE teachers (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE,
+        password TEXT NOT NULL,
+        created INTEGER NOT NULL
+    );
+    CREATE TABLE classrooms (
+        id TEXT PRIMARY KEY,
+        teacher_id TEXT NOT NULL REFERENCES teachers (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        join_code TEXT NOT NULL UNIQUE,
+        created INTEGER NOT NULL
+    );
+    CREATE TABLE students (
+        id TEXT PRIMARY KEY,
+        classroom_id TEXT NOT NULL REFERENCES classrooms (id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        created INTEGER NOT NULL
+    );
+    CREATE TABLE assignments (
+        id TEXT PRIMARY KEY,
+        classroom_id TEXT NOT NULL REFERENCES classrooms (id) ON DELETE CASCADE,
+        title TEXT NOT NULL,
+        instructions TEXT NOT NULL,
+        created INTEGER NOT NULL
+    );
+    CREATE TABLE submissions (
+        assignment_id TEXT NOT NULL REFERENCES assignments (id) ON DELETE CASCADE,
+        student_id TEXT NOT NULL REFERENCES students (id) ON DELETE CASCADE,
+        workspace_id TEXT NOT NULL UNIQUE REFERENCES workspaces (id) ON DELETE CASCADE,
+        PRIMARY KEY (assignment_id, student_id)
+    );
+    CREATE TABLE sessions_with_roles (
+        id TEXT PRIMARY KEY,
+        workspace_id TEXT REFERENCES workspaces (id) ON DELETE CASCADE,
+        teacher_id TEXT REFERENCES teachers (id) ON DELETE CASCADE,
+        student_id TEXT REFERENCES students (id) ON DELETE CASCADE,
+        expires INTEGER NOT NULL
+    );
+    INSERT INTO sessions_with_roles (id, workspace_id, expires) SELECT id, workspace_id, expires FROM sessions;
+    DROP TABLE sessions;
+    ALTER TABLE sessions_with_roles RENAME TO sessions;
+    CREATE INDEX sessions_by_expiry ON sessions (expires);`,
+
+    `CREATE TABLE test_cases (
+        assignment_id TEXT NOT NULL REFERENCES assignments (id) ON DELETE CASCADE,
+        position INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        input TEXT NOT NULL,
+        output TEXT NOT NULL,
+        PRIMARY KEY (assignment_id, position)
+    );`,
+
+    `CREATE TABLE invites (
+        token TEXT PRIMARY KEY,
+        workspace_id TEXT NOT NULL UNIQUE REFERENCES workspaces (id) ON DELETE CASCADE,
+        created INTEGER NOT NULL
+    );`,
+];
+
+// How long a session lasts after the last visit.
+export const sessionLifetime = 30 * 24 * 60 * 60 * 1000;
+
+export interface Session {
+    id: string;
+    workspaceId?: string;
+    teacherId?: string;
+    studentId?: string;
+}
+
+interface SessionRow {
+    id: string;
+    workspace_id: string | null;
+    teacher_id: string | null;
+    student_id: string | null;
+}
+
+/**
+ * Sessions, workspaces, their source files and snapshots in SQLite. The
+ * preview folders hold a working copy of the sources, which is what is
+ * served and type checked.
+ *
+ * The database is opened on first use, so the compile workers, which only
+ * need the paths in workspace.ts, never open it.
+ */
+export class Storage {
+    private database?: Database;
+
+    constructor(private fileName: string) {}
+
+    private get db(): Database {
+        if (!this.database) {
+            if (this.fileName != ":memory:") mkdirSync(path.dirname(this.fileName), { recursive: true });
+            this.database = new Database(this.fileName, { create: true });
+            this.database.run("PRAGMA journal_mode = WAL");
+            this.database.run("PRAGMA foreign_keys = ON");
+            this.migrate(this.database);
+        }
+        return this.database;
+    }
+
+    private migrate(db: Database) {
+        const { user_version: version } = db.query("PRAGMA user_version").get() as { user_version: number };
+        db.transaction(() => {
+            for (let i = version; i < migrations.length; i++) db.run(migrations[i]);
+            db.run(`PRAGMA user_version = ${migrations.length}`);
+        })();
+    }
+
+    transaction<T>(task: () => T): T {
+        return this.db.transaction(task)();
+    }
+
+    close() {
+        this.database?.close();
+        this.database = undefined;
+    }
+
+    getSession(id: string, now = Date.now()): Session | undefined {
+        const row = this.db.query("SELECT id, workspace_id, teacher_id, student_id FROM sessions WHERE id = ? AND expires > ?").get(id, now) as SessionRow | null;
+        if (!row) return undefined;
+        return {
+            id: row.id,
+            workspaceId: row.workspace_id ?? undefined,
+            teacherId: row.teacher_id ?? undefined,
+            studentId: row.student_id ?? undefined,
+        };
+    }
+
+    /**
+     * Stores a session that has a workspace or a role, and starts its
+     * lifetime over. One with neither is forgotten.
+     */
+    saveSession(session: Session, now = Date.now()) {
+        if (!session.workspaceId && !session.teacherId && !session.studentId) {
+            this.db.query("DELETE FROM sessions WHERE id = ?").run(session.id);
+            return;
+        }
+        this.db.query("INSERT OR REPLACE INTO sessions (id, workspace_id, teacher_id, student_id, expires) VALUES (?, ?, ?, ?, ?)")
+            .run(session.id, session.workspaceId ?? null, session.teacherId ?? null, session.studentId ?? null, now + sessionLifetime);
+    }
+
+    deleteExpiredSessions(now = Date.now()): number {
+        return this.db.query("DELETE FROM sessions WHERE expires <= ?").run(now).changes;
+    }
+
+    addWorkspace(id: string, files: Record<string, string>, now = Date.now()) {
+        this.transaction(() => {
+            this.db.query("INSERT INTO workspaces (id, created, updated) VALUES (?, ?, ?)").run(id, now, now);
+            for (const [name, content] of Object.entries(files)) this.writeFile(id, name, content, now);
+        });
+    }
+
+    hasWorkspace(id: string): boolean {
+        return this.db.query("SELECT 1 FROM workspaces WHERE id = ?").get(id) != null;
+    }
+
+    readFiles(workspaceId: string): Record<string, string> {
+        const rows = this.db.query("SELECT name, content FROM files WHERE workspace_id = ? ORDER BY name").all(workspaceId) as { name: string, content: string }[];
+        return Object.fromEntries(rows.map((row) => [row.name, row.content]));
+    }
+
+    hasFile(workspaceId: string, name: string): boolean {
+        return this.db.query("SELECT 1 FROM files WHERE workspace_id = ? AND name = ?").get(workspaceId, name) != null;
+    }
+
+    writeFile(workspaceId: string, name: string, content: string, now = Date.now()) {
+        this.db.query("INSERT OR REPLACE INTO files (workspace_id, name, content) VALUES (?, ?, ?)").run(workspaceId, name, content);
+        this.db.query("UPDATE workspaces SET updated = ? WHERE id = ?").run(now, workspaceId);
+    }
+
+    renameFile(workspaceId: string, name: string, to: string) {
+        this.db.query("UPDATE files SET name = ? WHERE workspace_id = ? AND name = ?").run(to, workspaceId, name);
+    }
+
+    deleteFile(workspaceId: string, name: string) {
+        this.db.query("DELETE FROM files WHERE workspace_id = ? AND name = ?").run(workspaceId, name);
+    }
+
+    addSnapshot(workspaceId: string, snapshot: Snapshot) {
+        this.db.query("INSERT INTO snapshots (id, workspace_id, file, time, text, diff, added, removed) VALUES (?, ?, ?, ?, ?, ?, ?, ?)")
+            .run(snapshot.id, workspaceId, snapshot.file, snapshot.time, snapshot.text, snapshot.diff, snapshot.added, snapshot.removed);
+    }
+
+    lastSnapshot(workspaceId: string, file: string): Snapshot | undefined {
+        return this.db.query("SELECT id, file, time, text, diff, added, removed FROM snapshots WHERE workspace_id = ? AND file = ? ORDER BY time DESC, rowid DESC LIMIT 1")
+            .get(workspaceId, file) as Snapshot | null ?? undefined;
+    }
+
+    /**
+     * Lists the snapshots of a workspace, newest first.
+     */
+    listSnapshots(workspaceId: string): SnapshotSummary[] {
+        return this.db.query("SELECT id, file, time, added, removed FROM snapshots WHERE workspace_id = ? ORDER BY time DESC, rowid DESC")
+            .all(workspaceId) as SnapshotSummary[];
+    }
+
+    getSnapshot(workspaceId: string, id: string): Snapshot | undefined {
+        return this.db.query("SELECT id, file, time, text, diff, added, removed FROM snapshots WHERE workspace_id = ? AND id = ?")
+            .get(workspaceId, id) as Snapshot | null ?? undefined;
+    }
+
+    addInvite(workspaceId: string, token: string, now = Date.now()) {
+        this.db.query("INSERT INTO invites (token, workspace_id, created) VALUES (?, ?, ?)").run(token, workspaceId, now);
+    }
+
+    /**
+     * Returns the token of the link that lets others edit a workspace.
+     */
+    getInvite(workspaceId: string): string | undefined {
+        return (this.db.query("SELECT token FROM invites WHERE workspace_id = ?").get(workspaceId) as { token: string } | null)?.token;
+    }
+
+    /**
+     * Returns the workspace an invite link is for.
+     */
+    findInvite(token: string): string | undefined {
+        return (this.db.query("SELECT workspace_id AS workspaceId FROM invites WHERE token = ?").get(token) as { workspaceId: string } | null)?.workspaceId;
+    }
+
+    deleteInvite(workspaceId: string) {
+        this.db.query("DELETE FROM invites WHERE workspace_id = ?").run(workspaceId);
+    }
+
+    addTeacher(teacher: Teacher, password: string, now = Date.now()) {
+        this.db.query("INSERT INTO teachers (id, name, password, created) VALUES (?, ?, ?, ?)").run(teacher.id, teacher.name, password, now);
+    }
+
+    getTeacher(id: string): Teacher | undefined {
+        return this.db.query("SELECT id, name FROM teachers WHERE id = ?").get(id) as Teacher | null ?? undefined;
+    }
+
+    /**
+     * Returns a teacher together with the hash of their password.
+     */
+    findTeacher(name: string): (Teacher & { password: string }) | undefined {
+        return this.db.query("SELECT id, name, password FROM teachers WHERE name = ?").get(name) as (Teacher & { password: string }) | null ?? undefined;
+    }
+
+    addClassroom(classroom: Classroom, now = Date.now()) {
+        this.db.query("INSERT INTO classrooms (id, teacher_id, name, join_code, created) VALUES (?, ?, ?, ?, ?)")
+            .run(classroom.id, classroom.teacherId, classroom.name, classroom.joinCode, now);
+    }
+
+    getClassroom(id: string): Classroom | undefined {
+        return this.db.query("SELECT id, teacher_id AS teacherId, name, join_code AS joinCode FROM classrooms WHERE id = ?").get(id) as Classroom | null ?? undefined;
+    }
+
+    findClassroom(joinCode: string): Classroom | undefined {
+        return this.db.query("SELECT id, teacher_id AS teacherId, name, join_code AS joinCode FROM classrooms WHERE join_code = ?").get(joinCode) as Classroom | null ?? undefined;
+    }
+
+    listClassrooms(teacherId: string): Classroom[] {
+        return this.db.query("SELECT id, teacher_id AS teacherId, name, join_code AS joinCode FROM classrooms WHERE teacher_id = ? ORDER BY created").all(teacherId) as Classroom[];
+    }
+
+    addStudent(student: Student, now = Date.now()) {
+        this.db.query("INSERT INTO students (id, classroom_id, name, created) VALUES (?, ?, ?, ?)").run(student.id, student.classroomId, student.name, now);
+    }
+
+    getStudent(id: string): Student | undefined {
+        return this.db.query("SELECT id, classroom_id AS classroomId, name FROM students WHERE id = ?").get(id) as Student | null ?? undefined;
+    }
+
+    addAssignment(assignment: Assignment, now = Date.now()) {
+        this.db.query("INSERT INTO assignments (id, classroom_id, title, instructions, created) VALUES (?, ?, ?, ?, ?)")
+            .run(assignment.id, assignment.classroomId, assignment.title, assignment.instructions, now);
+    }
+
+    getAssignment(id: string): Assignment | undefined {
+        return this.db.query("SELECT id, classroom_id AS classroomId, title, instructions FROM assignments WHERE id = ?").get(id) as Assignment | null ?? undefined;
+    }
+
+    listAssignments(classroomId: string): Assignment[] {
+        return this.db.query("SELECT id, classroom_id AS classroomId, title, instructions FROM assignments WHERE classroom_id = ? ORDER BY created").all(classroomId) as Assignment[];
+    }
+
+    addTestCases(assignmentId: string, tests: TestCase[]) {
+        const insert = this.db.query("INSERT INTO test_cases (assignment_id, position, name, input, output) VALUES (?, ?, ?, ?, ?)");
+        tests.forEach((test, position) => insert.run(assignmentId, position, test.name, test.input, test.output));
+    }
+
+    listTestCases(assignmentId: string): TestCase[] {
+        return this.db.query("SELECT name, input, output FROM test_cases WHERE assignment_id = ? ORDER BY position").all(assignmentId) as TestCase[];
+    }
+
+    addSubmission(submission: Submission) {
+        this.db.query("INSERT INTO submissions (assignment_id, student_id, workspace_id) VALUES (?, ?, ?)")
+            .run(submission.assignmentId, submission.studentId, submission.workspaceId);
+    }
+
+    getSubmission(assignmentId: string, studentId: string): Submission | undefined {
+        return this.db.query(`SELECT assignment_id AS assignmentId, student_id AS studentId, students.name AS studentName, workspace_id AS workspaceId
+            FROM submissions JOIN students ON students.id = student_id WHERE assignment_id = ? AND student_id = ?`)
+            .get(assignmentId, studentId) as Submission | null ?? undefined;
+    }
+
+    findSubmission(workspaceId: string): Submission | undefined {
+        return this.db.query(`SELECT assignment_id AS assignmentId, student_id AS studentId, students.name AS studentName, workspace_id AS workspaceId
+            FROM submissions JOIN students ON students.id = student_id WHERE workspace_id = ?`)
+            .get(workspaceId) as Submission | null ?? undefined;
+    }
+
+    listSubmissions(assignmentId: string): Submission[] {
+        return this.db.query(`SELECT assignment_id AS assignmentId, student_id AS studentId, students.name AS studentName, workspace_id AS workspaceId
+            FROM submissions JOIN students ON students.id = student_id WHERE assignment_id = ? ORDER BY students.name`)
+            .all(assignmentId) as Submission[];
+    }
+}
+
+export const storage = new Storage(process.env.DATABASE ?? `${import.meta.dir}/data/playground.sqlite`);
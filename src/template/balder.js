@@ -0,0 +1,2891 @@
+/**
+* BalderJS
+* version 7.2.1 (2024-04-26)
+* Mattias Steinwall
+* Baldergymnasiet, Skellefteå, Sweden
+*/
+//
+// Canvas
+//
+/**
+ * The canvas element. Fills the available space on the screen.
+ * @example
+ * Change the background color:
+ * ```
+ * canvas.style.backgroundColor = "purple"
+ * ```
+ * @example
+ * Move focus to the canvas:
+ * ```
+ * canvas.focus()
+ * ```
+ */
+const canvas = document.getElementById("canvas");
+/**
+ * The canvas 2D rendering context. Makes it possible to draw and manipulate
+ * graphics on the `canvas`.
+ * @example
+ * Draw a filled yellow half-ellipse:
+ * ```
+ * ctx.ellipse(100, 100, 100, 50, radians(45), 0, radians(180))
+ * ctx.fillStyle = "yellow"
+ * ctx.fill()
+ * ```
+ */
+const ctx = canvas.getContext("2d");
+/**
+ * Returns the width, in pixels, of the canvas. See also `H`.
+ * @example
+ * Draw a circle in the middle of the canvas:
+ * ```
+ * circle(W / 2, H / 2, 100)
+ * ```
+ * @example
+ * Draw a line from the top left corner to the bottom right corner of the canvas.
+ * ```
+ * line(0, 0, W, H)
+ * ```
+ */
+let W;
+/**
+ * Returns the height, in pixels, of the canvas. See also `W`.
+ * @example
+ * Draw a circle in the middle of the canvas:
+ * ```
+ * circle(W / 2, H / 2, 100)
+ * ```
+ * @example
+ * Draw a line from the top left corner to the bottom right corner of the canvas.
+ * ```
+ * line(0, 0, W, H)
+ * ```
+ */
+let H;
+const _color = getComputedStyle(document.body).color; // 7.2
+/**
+ * Draws a circle on the canvas with center in (`x`, `y`).
+ * @example
+ * Draw a filled circle with default color (`black`):
+ * ```
+ * circle(100, 50, 50)
+ * ```
+ * @example
+ * Draw a filled red circle:
+ * ```
+ * circle(100, 50, 50, "red")
+ * ```
+ * @example
+ * Draw a blue circle with a line width of 5 pixels:
+ * ```
+ * circle(100, 50, 50, "blue", 5)
+ * ```
+ */
+function circle(x, y, radius, color = _color, lineWidth) {
+    ctx.beginPath();
+    ctx.ellipse(x, y, radius, radius, 0, 0, 2 * Math.PI);
+    if (lineWidth != null) {
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = color;
+        ctx.stroke();
+    }
+    else {
+        ctx.fillStyle = color;
+        ctx.fill();
+    }
+}
+/**
+ * Clears the canvas.
+ * @example
+ * Clear the canvas:
+ * ```
+ * clear()
+ * ```
+ * @example
+ * Clear a rectangular part of the canvas with upper left corner in (`100`, `50`):
+ * ```
+ * clear(100, 50, 400, 300)
+ * ```
+ */
+function clear(x = 0, y = 0, width = W, height = H) {
+    ctx.clearRect(x, y, width, height);
+}
+/**
+ * Fills the canvas with given color.
+ * @example
+ * ```
+ * fill("blue")
+ * ```
+*/
+function fill(color = _color) {
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, W, H);
+}
+/**
+ * Gets color information, as a 4-tuple, for given pixel.
+ * Values `r`(ed), `g`(reen), `b`(lue) and `a`(lpha) are all in the interval 0 to 255.
+ * @example
+ * ```
+ * circle(50, 100, 30, randomItem("red", "green", "blue"))
+ * let pixel = getPixel(50, 100)
+ * text("r: " + pixel[0], 0)
+ * text("g: " + pixel[1], 100)
+ * text("b: " + pixel[2], 200)
+ * text("a: " + pixel[3], 300)
+ * ```
+*/
+function getPixel(x, y) {
+    return Array.from(ctx.getImageData(x, y, 1, 1).data);
+}
+const _images = {};
+function _loadImage(path) {
+    return new Promise((resolve, reject) => {
+        if (_images[path] === undefined) {
+            _images[path] = new Image();
+            _images[path].src = path;
+            _images[path].addEventListener("load", () => resolve());
+            _images[path].addEventListener("error", () => reject(new Error(`'${path}' can not be loaded`)));
+        }
+        else if (_images[path].complete) {
+            resolve();
+        }
+        else {
+            _images[path].addEventListener("load", () => resolve());
+        }
+    });
+}
+/**
+ * Draws an image on the canvas, with (`x`, `y`) in the upper left corner.
+ * @example
+ * Draw an image with its intrinsic (own) size:
+ * ```
+ * image("assets/chess/black_bishop.png", 100, 100)
+ * ```
+ * @example
+ * Draw an image with given size:
+ * ```
+ * image("assets/chess/black_bishop.png", 200, 100, 30, 40)
+ * ```
+ * @example
+ * Wait for the image to be drawn before executing next line:
+ * ```
+ * await image("assets/chess/black_bishop.png", 200, 100, 30, 40)
+ * line(200, 100, 230, 140, "red")
+ * ```
+ */
+async function image(path, x = 0, y = 0, width, height) {
+    await _loadImage(path);
+    if (width && height) {
+        ctx.drawImage(_images[path], x, y, width, height);
+    }
+    else {
+        ctx.drawImage(_images[path], x, y);
+    }
+}
+/**
+ * Draws a polygon on the canvas with edges in the `points`-array.
+ * @example
+ * Draw a red diamond shape:
+ * ```
+ * polygon([[100, 100], [140, 160], [100, 220], [60, 160]], "red")
+ * ```
+ */
+function polygon(points, color = _color, lineWidth) {
+    ctx.beginPath();
+    ctx.moveTo(...points[0]);
+    for (let i = 1; i < points.length; i++) {
+        ctx.lineTo(...points[i]);
+    }
+    ctx.closePath();
+    if (lineWidth != null) {
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = color;
+        ctx.stroke();
+    }
+    else {
+        ctx.fillStyle = color;
+        ctx.fill();
+    }
+}
+/**
+ * Draws a line on the canvas between (`x1`, `y1`) and (`x2`, `y2`).
+ * @example
+ * Draw two thick blue lines across the canvas:
+ * ```
+ * line(0, 0, W, H, "blue", 20)
+ * line(0, H, W, 0, "blue", 20)
+ * ```
+ */
+function line(x1, y1, x2, y2, color = _color, lineWidth = 1) {
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = lineWidth;
+    ctx.stroke();
+}
+/**
+ * Draws a rectangle on the canvas with upper left corner in (`x`, `y`).
+ */
+function rectangle(x, y, width, height, color = _color, lineWidth) {
+    if (lineWidth != null) {
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = color;
+        ctx.strokeRect(x, y, width, height);
+    }
+    else {
+        ctx.fillStyle = color;
+        ctx.fillRect(x, y, width, height);
+    }
+}
+/**
+ * Draws `value` as a string on the canvas. The baseline is set by `y`.
+ * Default font is `24px Consolas`.
+ * @example
+ * Draw 'Hello world!' with the lower left corner in (`100`, `50`):
+ * ```
+ * text("Hello world!", 100, 50, 36, "red")
+ * ```
+ * @example
+ * Draw 'abcd' right-aligned to the right:
+ * ```
+ * text("abcd", [W, "right"])
+ * ```
+ * @example
+ * Draw 'abcd' center-aligned to the middle:
+ * ```
+ * text("abcd", [W / 2, "center"])
+ * ```
+ */
+function text(value, // 7.2
+x = 0, y = 24, font = 24, color = _color, lineWidth) {
+    ctx.font = (typeof font == "number") ? font + "px consolas,monospace" : font;
+    const _text = String(value);
+    if (typeof x != "number") {
+        const w = ctx.measureText(_text).width;
+        switch (x[1]) {
+            case "left":
+                x = x[0];
+                break;
+            case "center":
+                x = x[0] - w / 2;
+                break;
+            case "right":
+                x = x[0] - w;
+                break;
+        }
+    }
+    if (lineWidth != null) {
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = color;
+        ctx.strokeText(_text, x, y);
+    }
+    else {
+        ctx.fillStyle = color;
+        ctx.fillText(_text, x, y);
+    }
+}
+/**
+ * Draws a triangle on the canvas with corners in (`x1`, `y1`), (`x2`, `y2`) and (`x3`, `y3`).
+ * @example
+ * Draw a triangle with corners in (`100`, `50`), (`200`, `50`) and (`200`, `150`).
+ * ```
+ * triangle(100, 50, 200, 50, 200, 150)
+ * ```
+ * @example
+ * Draw a red rectangle:
+ * ```
+ * triangle(100, 150, 200, 150, 200, 250, "red")
+ * ```
+ * @example
+ * Draw a blue triangle with line width 2:
+ * ```
+ * triangle(100, 250, 200, 250, 200, 350, "blue", 2)
+ * ```
+ */
+function triangle(x1, y1, x2, y2, x3, y3, color = _color, lineWidth) {
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.lineTo(x3, y3);
+    ctx.closePath();
+    if (lineWidth != null) {
+        ctx.lineWidth = lineWidth;
+        ctx.strokeStyle = color;
+        ctx.stroke();
+    }
+    else {
+        ctx.fillStyle = color;
+        ctx.fill();
+    }
+}
+/**
+ * An object for keyboard input.
+ *
+ * @example
+ * ```
+ * setUpdate(() => {
+ *     clear()
+ *     if (keyboard.w) {
+ *         text("key W")
+ *     }
+ * })
+ * ```
+ * @example
+ * ```
+ * setUpdate(() => {
+ *     if (keyboard.r) {
+ *         fill("red")
+ *     }
+ * })
+ * ```
+ */
+const keyboard = {
+    /**
+     * Returns true if any key is pressed.
+     * @example
+     * setUpdate(() => {
+     *     clear()
+     *     if (keyboard.pressed) {
+     *         text("Any key pressed!")
+     *     }
+     * })
+    */
+    get pressed() { return Object.keys(_keys).some(value => _keys[value] === true); },
+    /**
+     * Returns the standard value for the latest key pressed. It is not affected by the  keyboard layout.
+      * @example
+      * setUpdate(() => {
+      *     clear()
+      *     text(keyboard.keyName)
+      * })
+      */
+    get keyName() { return _keyName; },
+    /**
+     * Returns the state of all keys.
+     */
+    get keys() { return _keys; },
+    get enter() { return !!_keys["Enter"]; }, set enter(value) { _keys["Enter"] = value; },
+    get space() { return !!_keys["Space"]; }, set space(value) { _keys["Space"] = value; },
+    get left() { return !!_keys["ArrowLeft"]; }, set left(value) { _keys["ArrowLeft"] = value; },
+    get up() { return !!_keys["ArrowUp"]; }, set up(value) { _keys["ArrowUp"] = value; },
+    get right() { return !!_keys["ArrowRight"]; }, set right(value) { _keys["ArrowRight"] = value; },
+    get down() { return !!_keys["ArrowDown"]; }, set down(value) { _keys["ArrowDown"] = value; },
+    get a() { return !!_keys["KeyA"]; }, set a(value) { _keys["KeyA"] = value; },
+    get b() { return !!_keys["KeyB"]; }, set b(value) { _keys["KeyB"] = value; },
+    get c() { return !!_keys["KeyC"]; }, set c(value) { _keys["KeyC"] = value; },
+    get d() { return !!_keys["KeyD"]; }, set d(value) { _keys["KeyD"] = value; },
+    get e() { return !!_keys["KeyE"]; }, set e(value) { _keys["KeyE"] = value; },
+    get f() { return !!_keys["KeyF"]; }, set f(value) { _keys["KeyF"] = value; },
+    get g() { return !!_keys["KeyG"]; }, set g(value) { _keys["KeyG"] = value; },
+    get h() { return !!_keys["KeyH"]; }, set h(value) { _keys["KeyH"] = value; },
+    get i() { return !!_keys["KeyI"]; }, set i(value) { _keys["KeyI"] = value; },
+    get j() { return !!_keys["KeyJ"]; }, set j(value) { _keys["KeyJ"] = value; },
+    get k() { return !!_keys["KeyK"]; }, set k(value) { _keys["KeyK"] = value; },
+    get l() { return !!_keys["KeyL"]; }, set l(value) { _keys["KeyL"] = value; },
+    get m() { return !!_keys["KeyM"]; }, set m(value) { _keys["KeyM"] = value; },
+    get n() { return !!_keys["KeyN"]; }, set n(value) { _keys["KeyN"] = value; },
+    get o() { return !!_keys["KeyO"]; }, set o(value) { _keys["KeyO"] = value; },
+    get p() { return !!_keys["KeyP"]; }, set p(value) { _keys["KeyP"] = value; },
+    get q() { return !!_keys["KeyQ"]; }, set q(value) { _keys["KeyQ"] = value; },
+    get r() { return !!_keys["KeyR"]; }, set r(value) { _keys["KeyR"] = value; },
+    get s() { return !!_keys["KeyS"]; }, set s(value) { _keys["KeyS"] = value; },
+    get t() { return !!_keys["KeyT"]; }, set t(value) { _keys["KeyT"] = value; },
+    get u() { return !!_keys["KeyU"]; }, set u(value) { _keys["KeyU"] = value; },
+    get v() { return !!_keys["KeyV"]; }, set v(value) { _keys["KeyV"] = value; },
+    get w() { return !!_keys["KeyW"]; }, set w(value) { _keys["KeyW"] = value; },
+    get x() { return !!_keys["KeyX"]; }, set x(value) { _keys["KeyX"] = value; },
+    get y() { return !!_keys["KeyY"]; }, set y(value) { _keys["KeyY"] = value; },
+    get z() { return !!_keys["KeyZ"]; }, set z(value) { _keys["KeyZ"] = value; }
+};
+let _keyName;
+let _keys = {};
+canvas.addEventListener("keydown", event => {
+    event.preventDefault();
+    if (_keys[event.code] !== false) {
+        _keys[event.code] = true;
+        _keyName = event.code;
+    }
+});
+canvas.addEventListener("keyup", event => {
+    _keys[event.code] = null;
+});
+/**
+ * An object for input from mouse or other pointing device.
+ */
+const mouse = {
+    get x() { return _mouseX; },
+    get y() { return _mouseY; },
+    get over() { return _mouseOver; },
+    get left() { return !!_buttons[0]; }, set left(value) { _buttons[0] = value; },
+    get right() { return !!_buttons[2]; }, set right(value) { _buttons[2] = value; },
+    /**
+     * Returns the state of all buttons.
+     */
+    get buttons() { return _buttons; }
+};
+let _mouseX;
+let _mouseY;
+let _mouseOver;
+let _buttons = [];
+canvas.addEventListener("mousedown", event => {
+    event.preventDefault();
+    canvas.focus();
+    if (_buttons[event.button] !== false) {
+        _buttons[event.button] = true;
+    }
+    _pointerDown("mouse", ..._canvasPoint(event), event.button);
+});
+canvas.addEventListener("mouseup", event => {
+    _buttons[event.button] = null;
+    _pointerUp("mouse", ..._canvasPoint(event), event.button);
+});
+canvas.addEventListener("mousemove", event => {
+    [_mouseX, _mouseY] = _canvasPoint(event);
+    _mouseOver = true;
+    _pointerMove("mouse", _mouseX, _mouseY);
+});
+canvas.addEventListener("mouseout", () => {
+    _mouseOver = false;
+    _buttons = []; // ?
+    _pointerLeave("mouse");
+});
+canvas.addEventListener("contextmenu", event => {
+    event.preventDefault();
+});
+canvas.addEventListener("wheel", event => {
+    event.preventDefault();
+});
+/**
+ * An object for input from touch screen.
+ */
+const touchscreen = {
+    get x() { return _touches.length > 0 ? _touches[0].x : null; },
+    get y() { return _touches.length > 0 ? _touches[0].y : null; },
+    get touches() {
+        return _touches;
+    },
+    get touched() { return _touches.length > 0; }
+};
+let _touches = [];
+function _touchHandler(event) {
+    event.preventDefault();
+    canvas.focus();
+    const rect = canvas.getBoundingClientRect();
+    _touches = [];
+    for (let i = 0; i < event.touches.length; i++) {
+        _touches[i] = {
+            x: event.touches[i].clientX - rect.left,
+            y: event.touches[i].clientY - rect.top,
+            identifier: event.touches[i].identifier
+        };
+    }
+    for (let i = 0; i < event.changedTouches.length; i++) {
+        const touch = event.changedTouches[i];
+        const [x, y] = _canvasPoint(touch);
+        switch (event.type) {
+            case "touchstart":
+                _pointerDown(touch.identifier, x, y, 0);
+                break;
+            case "touchmove":
+                _pointerMove(touch.identifier, x, y);
+                break;
+            default:
+                _pointerUp(touch.identifier, x, y, 0);
+                _pointerLeave(touch.identifier);
+        }
+    }
+}
+canvas.addEventListener("touchstart", _touchHandler);
+canvas.addEventListener("touchend", _touchHandler);
+canvas.addEventListener("touchcancel", _touchHandler);
+canvas.addEventListener("touchmove", _touchHandler);
+function _canvasPoint(event) {
+    const rect = canvas.getBoundingClientRect();
+    return [event.clientX - rect.left, event.clientY - rect.top];
+}
+//
+// Pointer events
+//
+/**
+ * Something that can be clicked, touched, hovered and dragged, with the mouse
+ * or a finger alike. A handler is called with an object with the `type` of
+ * the event, where the pointer is (`x`, `y`), whether it is a `"mouse"` or
+ * a `"touch"` (`pointer`), the `button` pressed, the `target` and, for a
+ * grid, the `cell` under the pointer. While dragging `dx` and `dy` are how
+ * far the pointer moved since the last event.
+ *
+ * Each `on`-method replaces the handler set before. Call it without a
+ * handler to remove it.
+ * @example
+ * ```
+ * let box = new Hitbox(100, 100, 50, 50)
+ * box.onClick(() => {
+ *     write("Clicked!")
+ * })
+ * ```
+ * @example
+ * Click anywhere on the canvas:
+ * ```
+ * canvas.onClick((event) => {
+ *     circle(event.x, event.y, 5)
+ * })
+ * ```
+ */
+class PointerTarget {
+    _handlers = {};
+    /**
+     * Called when a button is pressed and released, or the canvas touched
+     * and let go, on this without dragging in between.
+     */
+    onClick(handler = null) {
+        _listen(this, "click", handler);
+    }
+    onPointerDown(handler = null) {
+        _listen(this, "pointerdown", handler);
+    }
+    onPointerUp(handler = null) {
+        _listen(this, "pointerup", handler);
+    }
+    onPointerMove(handler = null) {
+        _listen(this, "pointermove", handler);
+    }
+    /**
+     * Called when the pointer comes over this, with `hovered` set to `true`,
+     * and when it leaves, with `hovered` set to `false`.
+     * @example
+     * ```
+     * let ball = Shape.circle(100, 100, 30)
+     * ball.onHover((event) => {
+     *     ball.color = event.hovered ? "red" : "black"
+     * })
+     * ```
+     */
+    onHover(handler = null) {
+        _listen(this, "hover", handler);
+    }
+    /**
+     * Called when the pointer starts to move with a button pressed, or a
+     * finger down, on this.
+     */
+    onDragStart(handler = null) {
+        _listen(this, "dragstart", handler);
+    }
+    /**
+     * Called every time the pointer moves while dragging, also outside this.
+     * @example
+     * A shape that can be dragged around:
+     * ```
+     * let box = Shape.rectangle(100, 100, 50, 50, "green")
+     * box.onDrag((event) => {
+     *     box.x += event.dx
+     *     box.y += event.dy
+     * })
+     * ```
+     */
+    onDrag(handler = null) {
+        _listen(this, "drag", handler);
+    }
+    onDragEnd(handler = null) {
+        _listen(this, "dragend", handler);
+    }
+    // Whether (`x`, `y`) of the canvas is on this, `top` being the topmost shape there.
+    _hit(x, y, top) {
+        return Hitbox.prototype.contains.call(this, x, y);
+    }
+    // Additional info for the events of this.
+    _details(x, y) {
+        return {};
+    }
+}
+// The canvas takes pointer events as well, wherever they are.
+for (const name of Object.getOwnPropertyNames(PointerTarget.prototype)) {
+    if (name != "constructor") {
+        canvas[name] = PointerTarget.prototype[name];
+    }
+}
+canvas._handlers = {};
+canvas._hit = () => true;
+// Only what has a handler is hit-tested, so a hitbox made every update for collisions costs nothing.
+const _pointerTargets = new Set();
+// The state of each pointer by id, "mouse" or the identifier of a touch.
+const _pointers = {};
+// How far, in pixels, a pointer has to move while pressed for it to be a drag and not a click.
+const _dragDistance = 4;
+function _listen(target, type, handler) {
+    if (handler) {
+        target._handlers[type] = handler;
+        _pointerTargets.add(target);
+    }
+    else {
+        delete target._handlers[type];
+        if (Object.keys(target._handlers).length == 0) {
+            _pointerTargets.delete(target);
+        }
+    }
+}
+function _pointer(id) {
+    return _pointers[id] ??= { x: null, y: null, hovered: [], pressed: [], dragging: false };
+}
+// Shapes are only hit when they, or a shape in them, are the topmost shape there.
+function _hitTargets(x, y) {
+    const top = stage.shapeAt(x, y);
+    return [..._pointerTargets].filter(target => target._hit(x, y, top));
+}
+function _dispatch(targets, type, id, x, y, details = {}) {
+    for (const target of targets) {
+        target._handlers[type]?.({
+            type, x, y,
+            pointer: id == "mouse" ? "mouse" : "touch",
+            target,
+            ...target._details(x, y),
+            ...details
+        });
+    }
+}
+function _pointerDown(id, x, y, button) {
+    const state = _pointer(id);
+    const targets = _hitTargets(x, y);
+    Object.assign(state, { x, y, startX: x, startY: y, button, pressed: targets, dragging: false });
+    _dispatch(targets, "pointerdown", id, x, y, { button });
+}
+function _pointerMove(id, x, y) {
+    const state = _pointer(id);
+    const [dx, dy] = [x - (state.x ?? x), y - (state.y ?? y)];
+    state.x = x;
+    state.y = y;
+    const targets = _hitTargets(x, y);
+    _dispatch(state.hovered.filter(target => !targets.includes(target)), "hover", id, x, y, { hovered: false });
+    _dispatch(targets.filter(target => !state.hovered.includes(target)), "hover", id, x, y, { hovered: true });
+    state.hovered = targets;
+    _dispatch(targets, "pointermove", id, x, y);
+    if (state.pressed.length == 0) {
+        return;
+    }
+    if (!state.dragging && distance(state.startX, state.startY, x, y) >= _dragDistance) {
+        state.dragging = true;
+        _dispatch(state.pressed, "dragstart", id, state.startX, state.startY, { button: state.button });
+        _dispatch(state.pressed, "drag", id, x, y, { button: state.button, dx: x - state.startX, dy: y - state.startY });
+    }
+    else if (state.dragging) {
+        _dispatch(state.pressed, "drag", id, x, y, { button: state.button, dx, dy });
+    }
+}
+function _pointerUp(id, x, y, button) {
+    const state = _pointer(id);
+    const targets = _hitTargets(x, y);
+    _dispatch(targets, "pointerup", id, x, y, { button });
+    if (state.dragging) {
+        _dispatch(state.pressed, "dragend", id, x, y, { button });
+    }
+    else {
+        _dispatch(state.pressed.filter(target => targets.includes(target)), "click", id, x, y, { button });
+    }
+    state.pressed = [];
+    state.dragging = false;
+}
+function _pointerLeave(id) {
+    const state = _pointer(id);
+    if (state.dragging) {
+        _dispatch(state.pressed, "dragend", id, state.x, state.y, { button: state.button });
+    }
+    _dispatch(state.hovered, "hover", id, state.x, state.y, { hovered: false });
+    delete _pointers[id];
+}
+class Cell extends PointerTarget {
+    row;
+    column;
+    x;
+    y;
+    width;
+    height;
+    _textColor;
+    _color = null;
+    _image = null;
+    _text = null;
+    _custom = null;
+    /**
+     * Additional info about this cell.
+     */
+    tag;
+    constructor(row, column, x, y, width, height, _textColor) {
+        super();
+        this.row = row;
+        this.column = column;
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this._textColor = _textColor;
+    }
+    get color() {
+        return this._color;
+    }
+    set color(value) {
+        this._color = value;
+        this.draw();
+    }
+    get image() {
+        return this._image;
+    }
+    set image(value) {
+        this._image = value;
+        this.draw();
+    }
+    get text() {
+        return this._text;
+    }
+    set text(value) {
+        if (value == null) {
+            this._text = null;
+        }
+        else if (typeof value == "string") {
+            this._text = value;
+        }
+        else {
+            [this._text, this._textColor] = value;
+        }
+        this.draw();
+    }
+    get textColor() {
+        return this._textColor;
+    }
+    get custom() {
+        return this._custom;
+    }
+    set custom(value) {
+        this._custom = value;
+        this.draw();
+    }
+    async draw() {
+        clear(this.x, this.y, this.width, this.height);
+        if (this._color) {
+            rectangle(this.x + 0.5, this.y + 0.5, this.width - 1, this.height - 1, this._color);
+        }
+        if (this._image) {
+            await image(this._image, this.x, this.y, this.width, this.height);
+        }
+        if (this._text) {
+            text(this._text, [this.x + this.width / 2, "center"], this.y + this.height * 0.8, this.height, this._textColor);
+        }
+        if (this._custom) {
+            this._custom(this);
+        }
+    }
+}
+class Grid extends PointerTarget {
+    rows;
+    columns;
+    x;
+    y;
+    width;
+    height;
+    color;
+    lineWidth;
+    activatable = true;
+    _activeCell = null;
+    cells = [];
+    cellWidth;
+    cellHeight;
+    constructor(rows, columns, x = 0, y = 0, width = W - x, height = H - y, color = _color, lineWidth = 1) {
+        super();
+        this.rows = rows;
+        this.columns = columns;
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.color = color;
+        this.lineWidth = lineWidth;
+        this.cellWidth = (width - (columns + 1) * lineWidth) / columns;
+        this.cellHeight = (height - (rows + 1) * lineWidth) / rows;
+        for (let i = 0; i < rows; i++) {
+            this.cells[i] = [];
+            for (let j = 0; j < columns; j++) {
+                this.cells[i][j] = new Cell(i, j, x + j * (this.cellWidth + lineWidth) + lineWidth, y + i * (this.cellHeight + lineWidth) + lineWidth, this.cellWidth, this.cellHeight, color);
+            }
+        }
+        this.draw();
+    }
+    /**
+     * Returns cell at position [`rowIndex`][`columnIndex`].
+     */
+    cell(rowIndex, columnIndex) {
+        return this.cells[rowIndex][columnIndex];
+    }
+    /**
+     * Applies the `callback`-function to each cell.
+     */
+    forEach(callback) {
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.columns; j++) {
+                callback(this.cells[i][j]);
+            }
+        }
+    }
+    /**
+     * Returns `true` if a cell was either clicked or touched. Otherwise `false`.
+     */
+    get activated() {
+        const m = mouse.buttons[0] || mouse.buttons[2]; // 7.1.1
+        if (m || touchscreen.touched) {
+            if (this.activatable) {
+                let x = touchscreen.x;
+                let y = touchscreen.y;
+                if (m) {
+                    x = mouse.x;
+                    y = mouse.y;
+                }
+                this._activeCell = this.cellFromPoint(x, y);
+                this.activatable = false;
+                return !!this._activeCell;
+            }
+            else {
+                return false;
+            }
+        }
+        this.activatable = true;
+        return false;
+    }
+    /**
+     * Returns the active cell, possibly `null`.
+     */
+    get activeCell() {
+        return this._activeCell;
+    }
+    /**
+     * Returns the cell containing (`x`, `y`), possibly `null`.
+     */
+    cellFromPoint(x, y) {
+        if ((x - this.x - this.lineWidth + this.cellWidth + this.lineWidth) % (this.cellWidth + this.lineWidth) < this.cellWidth &&
+            (y - this.y - this.lineWidth + this.cellHeight + this.lineWidth) % (this.cellHeight + this.lineWidth) < this.cellHeight) {
+            const column = Math.floor((x - this.x) / (this.cellWidth + this.lineWidth));
+            const row = Math.floor((y - this.y) / (this.cellHeight + this.lineWidth));
+            if (column >= 0 && column < this.columns && row >= 0 && row < this.rows) {
+                return this.cells[row][column];
+            }
+        }
+        return null;
+    }
+    _details(x, y) {
+        return { cell: this.cellFromPoint(x, y) };
+    }
+    /**
+     * Draws this grid.
+     */
+    draw() {
+        if (this.color) {
+            rectangle(this.x, this.y, this.width, this.height, this.color);
+        }
+        for (let i = 0; i < this.rows; i++) {
+            for (let j = 0; j < this.columns; j++) {
+                this.cells[i][j].draw();
+            }
+        }
+    }
+}
+class Hitbox extends PointerTarget {
+    x;
+    y;
+    width;
+    height;
+    tag;
+    constructor(x, y, width, height) {
+        super();
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+    }
+    /**
+     * Returns `true` if this hitbox intersects `other`, a hitbox or a
+     * collider.
+     */
+    intersects(other) {
+        if (other instanceof Collider) {
+            return _colliderOf(this).collide(other) != null;
+        }
+        return (this.x + this.width > other.x &&
+            this.x < other.x + other.width &&
+            this.y + this.height > other.y &&
+            this.y < other.y + other.height);
+    }
+    /**
+     * Returns `true` if this hitbox contains (`x`, `y`).
+     */
+    contains(x, y) {
+        return (this.x + this.width > x &&
+            this.x <= x &&
+            this.y + this.height > y &&
+            this.y <= y);
+    }
+    drawOutline(color = _color) {
+        rectangle(this.x, this.y, this.width, this.height, color, 1);
+    }
+}
+class Sprite extends Hitbox {
+    spritesheetPath;
+    rows;
+    columns;
+    index = 0;
+    remainingTime;
+    _frames;
+    _finished = false;
+    _framesPerSecond; // 7.2
+    /**
+     * Set to `false` if sprite shouldn't loop.
+     */
+    loop = true; // 7.2.1
+    constructor(spritesheetPath, rows, columns) {
+        super(0, 0, 0, 0);
+        this.spritesheetPath = spritesheetPath;
+        this.rows = rows;
+        this.columns = columns;
+        this._frames = array(rows * columns, i => i);
+        this.framesPerSecond = 12;
+    }
+    // 7.2
+    set frames(value) {
+        if (value.length != this._frames.length || value.some((v, i) => v != this._frames[i]))
+            this.index = 0;
+        this._frames = value;
+    }
+    // 7.2.1
+    set framesPerSecond(value) {
+        this._framesPerSecond = value;
+        this.remainingTime = 1000 / value;
+    }
+    get framesPerSecond() {
+        return this._framesPerSecond;
+    }
+    // 7.2.1
+    get finished() {
+        return this._finished;
+    }
+    // 7.2.1
+    get frame() {
+        return this._frames[this.index];
+    }
+    async update() {
+        this.remainingTime -= DT;
+        if (this.remainingTime < 0) {
+            if (this.index >= this._frames.length - 1) {
+                if (this.loop) {
+                    this.index = 0;
+                }
+                else {
+                    this._finished = true;
+                }
+            }
+            else {
+                this.index++;
+            }
+            this.remainingTime += 1000 / this._framesPerSecond;
+        }
+        await this.draw();
+    }
+    async draw() {
+        await _loadImage(this.spritesheetPath);
+        const frameWidth = _images[this.spritesheetPath].width / this.columns;
+        const frameHeight = _images[this.spritesheetPath].height / this.rows;
+        if (this.width == 0)
+            this.width = frameWidth;
+        if (this.height == 0)
+            this.height = frameHeight;
+        const sx = frameWidth * (this._frames[this.index] % this.columns);
+        const sy = frameHeight * Math.floor(this._frames[this.index] / this.columns);
+        ctx.drawImage(_images[this.spritesheetPath], sx, sy, frameWidth, frameHeight, this.x, this.y, this.width, this.height);
+    }
+    async getImages() {
+        await _loadImage(this.spritesheetPath);
+        const _frameCanvas = document.createElement("canvas");
+        const _frameCtx = _frameCanvas.getContext("2d");
+        const frameWidth = _frameCanvas.width = _images[this.spritesheetPath].width / this.columns;
+        const frameHeight = _frameCanvas.height = _images[this.spritesheetPath].height / this.rows;
+        const paths = [];
+        for (const frame of this._frames) {
+            const sx = frameWidth * (frame % this.columns);
+            const sy = frameHeight * Math.floor(frame / this.columns);
+            _frameCtx.clearRect(0, 0, frameWidth, frameHeight);
+            _frameCtx.drawImage(_images[this.spritesheetPath], sx, sy, frameWidth, frameHeight, 0, 0, frameWidth, frameHeight);
+            paths.push(_frameCanvas.toDataURL("image/png"));
+        }
+        return paths;
+    }
+}
+class Turtle {
+    x;
+    y;
+    heading;
+    container = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+    turtle = document.createElementNS("http://www.w3.org/2000/svg", "polygon");
+    points = [];
+    _color = _color;
+    _size = 1;
+    /**
+     * The delay, in milliseconds, between changes in state (movements and rotations).
+     */
+    delay = 100;
+    /**
+     * Create a turtle.
+     *
+     * @example
+     * Creates a turtle in the middle of the canvas, headed east (default settings):
+     * ```
+     * let t = new Turtle()
+     * ```
+     * @example
+     * Creates a turtle at (`100`, `200`), headed north:
+     * ```
+     * let t = new Turtle(100, 200, -90)
+     * ```
+     *
+     */
+    constructor(x = W / 2, y = H / 2, heading = 0) {
+        this.x = x;
+        this.y = y;
+        this.heading = heading;
+        document.body.appendChild(this.container);
+        this.container.appendChild(this.turtle);
+        this.container.setAttribute("width", "20");
+        this.container.setAttribute("height", "20");
+        this.container.style.position = "absolute";
+        // this.turtle.setAttribute("points", "0,0 10,10, 0,20");      // ?
+        this.turtle.setAttribute("fill", this._color); // ?
+        this.turtle.setAttribute("stroke", this._color);
+        this.turtle.setAttribute("stroke-width", "1");
+        this.move();
+        this.turn();
+    }
+    /**
+     * The state of the turtle as a 3-tuple.
+     *
+     * @example
+     * Get the position and heading of turtle `t`:
+     * ```
+     * let [x, y, heading] = t.state
+     * ```
+     * @example
+     * Place turtle `t` at (`100`, `200`) headed south:
+     * ```
+     * t.state = [100, 200, 90]
+     * ```
+    */
+    get state() {
+        return [this.x, this.y, this.heading];
+    }
+    set state(value) {
+        [this.x, this.y, this.heading] = value;
+        this.move();
+        this.turn();
+    }
+    /**
+     * The color of this turtle. Used when drawing and filling.
+     */
+    get color() {
+        return this._color;
+    }
+    set color(value) {
+        this._color = value;
+        this.turtle.setAttribute("fill", this._color);
+    }
+    get size() {
+        return this._size;
+    }
+    set size(value) {
+        this._size = value;
+        this.container.setAttribute("width", String(20 * this._size));
+        this.container.setAttribute("height", String(20 * this._size));
+        this.turn();
+    }
+    move() {
+        const style = getComputedStyle(canvas);
+        const offsetLeft = canvas.offsetLeft + parseFloat(style.borderLeftWidth) + parseFloat(style.paddingLeft);
+        const offsetTop = canvas.offsetTop + parseFloat(style.borderTopWidth) + parseFloat(style.paddingTop);
+        this.container.style.left = (offsetLeft + this.x - 10 * this._size) + "px";
+        this.container.style.top = (offsetTop + this.y - 10 * this._size) + "px";
+        if (this.points.length > 0) {
+            this.points.push([this.x, this.y]);
+        }
+    }
+    turn() {
+        const [x0, y0] = [10 * this._size, 10 * this._size];
+        const [x1, y1] = pointFromPolar(10 * this._size, this.heading + 150, x0, y0);
+        const [x2, y2] = pointFromPolar(6 * this._size, this.heading + 180, x0, y0);
+        const [x3, y3] = pointFromPolar(10 * this._size, this.heading - 150, x0, y0);
+        this.turtle.setAttribute("points", `${x0},${y0} ${x1},${y1} ${x2},${y2} ${x3},${y3}`);
+    }
+    /**
+     * Move this turtle `length` pixels in the direction it is headed.
+     * If `trace` is false moves without drawing.
+     */
+    async forward(length, trace = true) {
+        ctx.beginPath();
+        ctx.moveTo(this.x, this.y);
+        this.x += Math.cos(radians(this.heading)) * length;
+        this.y += Math.sin(radians(this.heading)) * length;
+        if (trace) {
+            ctx.lineTo(this.x, this.y);
+            ctx.strokeStyle = this.color;
+            ctx.lineWidth = this.size;
+            ctx.stroke();
+        }
+        else {
+            ctx.moveTo(this.x, this.y);
+        }
+        this.move();
+        await sleep(this.delay);
+    }
+    /**
+     * Move this turtle `length` pixels in the direction opposite it is headed.
+     * If `trace` is false moves without drawing.
+     */
+    async backward(length, trace = true) {
+        this.forward(-length, trace);
+    }
+    /**
+     * Turn this turtle `degAngle` degrees clockwise.
+     */
+    async right(degAngle = 90) {
+        this.heading += degAngle;
+        this.turn();
+        await sleep(this.delay);
+    }
+    /**
+     * Turn this turtle `degAngle` degrees counterclockwise.
+     */
+    async left(degAngle = 90) {
+        await this.right(-degAngle);
+    }
+    hide() {
+        this.container.style.display = "none";
+    }
+    beginFill() {
+        this.points = [[this.x, this.y]];
+    }
+    endFill() {
+        polygon(this.points, this._color);
+        this.points = [];
+    }
+}
+//
+// Scene
+//
+/**
+ * Something drawn on the canvas every update, until it is removed. A shape
+ * is drawn around its position (`x`, `y`), and rotated and scaled around it.
+ * New shapes are put on the `stage`.
+ * @example
+ * A red ball that moves to the right:
+ * ```
+ * let ball = Shape.circle(100, 100, 20, "red")
+ * setUpdate(() => {
+ *     ball.x += 2
+ * })
+ * ```
+ * @example
+ * A shape drawn by a function of its own, around (`0`, `0`):
+ * ```
+ * let flag = new Shape(200, 100, (shape) => {
+ *     rectangle(0, 0, 60, 40, "blue")
+ *     rectangle(20, 0, 10, 40, "yellow")
+ * }, new Hitbox(0, 0, 60, 40))
+ * ```
+ */
+class Shape extends PointerTarget {
+    x;
+    y;
+    /**
+     * The rotation, in degrees clockwise, around (`x`, `y`).
+     */
+    rotation = 0;
+    scaleX = 1;
+    scaleY = 1;
+    /**
+     * Shapes with a higher `z` are drawn on top of those with a lower one.
+     */
+    z = 0;
+    visible = true;
+    color;
+    lineWidth;
+    /**
+     * The value drawn by a shape made with `Shape.text()`.
+     */
+    value;
+    /**
+     * The area of this shape around (`0`, `0`), before it is moved, rotated
+     * and scaled. Used by `contains()`.
+     */
+    bounds;
+    /**
+     * The group this shape is in, `null` once removed.
+     */
+    parent = null;
+    /**
+     * Additional info about this shape.
+     */
+    tag;
+    _paint;
+    constructor(x = 0, y = 0, draw = (shape) => { }, bounds = new Hitbox(0, 0, 0, 0), color = _color, lineWidth) {
+        super();
+        this.x = x;
+        this.y = y;
+        this._paint = draw;
+        this.bounds = bounds;
+        this.color = color;
+        this.lineWidth = lineWidth;
+        if (!(this instanceof Stage)) {
+            stage.add(this);
+        }
+    }
+    /**
+     * A circle with center in (`x`, `y`).
+     */
+    static circle(x, y, radius, color = _color, lineWidth) {
+        return new Shape(x, y, (shape) => circle(0, 0, radius, shape.color, shape.lineWidth), new Hitbox(-radius, -radius, 2 * radius, 2 * radius), color, lineWidth);
+    }
+    /**
+     * A rectangle with upper left corner in (`x`, `y`).
+     */
+    static rectangle(x, y, width, height, color = _color, lineWidth) {
+        return new Shape(x, y, (shape) => rectangle(0, 0, width, height, shape.color, shape.lineWidth), new Hitbox(0, 0, width, height), color, lineWidth);
+    }
+    /**
+     * A polygon with edges in the `points`-array, relative to (`x`, `y`).
+     * @example
+     * A triangle that spins around its center:
+     * ```
+     * let ship = Shape.polygon(W / 2, H / 2, [[20, 0], [-10, 10], [-10, -10]])
+     * setUpdate(() => {
+     *     ship.rotation += 1
+     * })
+     * ```
+     */
+    static polygon(x, y, points, color = _color, lineWidth) {
+        const xs = points.map(point => point[0]);
+        const ys = points.map(point => point[1]);
+        const bounds = new Hitbox(Math.min(...xs), Math.min(...ys), Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+        return new Shape(x, y, (shape) => polygon(points, shape.color, shape.lineWidth), bounds, color, lineWidth);
+    }
+    /**
+     * A line between (`x1`, `y1`) and (`x2`, `y2`), positioned at (`x1`, `y1`).
+     */
+    static line(x1, y1, x2, y2, color = _color, lineWidth = 1) {
+        const bounds = new Hitbox(Math.min(0, x2 - x1) - lineWidth / 2, Math.min(0, y2 - y1) - lineWidth / 2, Math.abs(x2 - x1) + lineWidth, Math.abs(y2 - y1) + lineWidth);
+        return new Shape(x1, y1, (shape) => line(0, 0, x2 - x1, y2 - y1, shape.color, shape.lineWidth), bounds, color, lineWidth);
+    }
+    /**
+     * `value` as a string, with the baseline at `y`. Change `value` to
+     * change the text.
+     * @example
+     * ```
+     * let score = Shape.text(0, 10, 30)
+     * score.value++
+     * ```
+     */
+    static text(value, x = 0, y = 24, font = 24, color = _color, lineWidth) {
+        const size = (typeof font == "number") ? font : parseFloat(font.match(/(\d+(\.\d+)?)px/)?.[1] ?? "24");
+        const shape = new Shape(x, y, (shape) => {
+            text(shape.value, 0, 0, font, shape.color, shape.lineWidth);
+            shape.bounds.width = ctx.measureText(String(shape.value)).width;
+        }, new Hitbox(0, -size, 0, size), color, lineWidth);
+        shape.value = value;
+        return shape;
+    }
+    /**
+     * An image with its upper left corner in (`x`, `y`). Drawn once it has
+     * loaded, with its intrinsic size unless `width` and `height` are given.
+     */
+    static image(path, x = 0, y = 0, width, height) {
+        const bounds = new Hitbox(0, 0, width ?? 0, height ?? 0);
+        _loadImage(path).then(() => {
+            if (!(width && height)) {
+                bounds.width = _images[path].width;
+                bounds.height = _images[path].height;
+            }
+        });
+        return new Shape(x, y, () => {
+            if (!_images[path].complete) {
+                return;
+            }
+            if (width && height) {
+                ctx.drawImage(_images[path], 0, 0, width, height);
+            }
+            else {
+                ctx.drawImage(_images[path], 0, 0);
+            }
+        }, bounds);
+    }
+    /**
+     * Sets both `scaleX` and `scaleY`.
+     */
+    set scale(value) {
+        this.scaleX = value;
+        this.scaleY = value;
+    }
+    get scale() {
+        return this.scaleX;
+    }
+    /**
+     * Removes this shape from its group, so it isn't drawn anymore.
+     */
+    remove() {
+        if (this.parent) {
+            this.parent.children.splice(this.parent.children.indexOf(this), 1);
+            this.parent = null;
+        }
+    }
+    /**
+     * Draws this shape, moved, rotated and scaled, unless it is hidden.
+     */
+    draw() {
+        if (!this.visible) {
+            return;
+        }
+        ctx.save();
+        ctx.translate(this.x, this.y);
+        ctx.rotate(radians(this.rotation));
+        ctx.scale(this.scaleX, this.scaleY);
+        this._drawContent();
+        ctx.restore();
+    }
+    _drawContent() {
+        this._paint(this);
+    }
+    // The transform from the coordinates of this shape to those of the canvas, as [a, b, c, d, e, f] of `ctx.transform()`.
+    _matrix() {
+        const cos = Math.cos(radians(this.rotation));
+        const sin = Math.sin(radians(this.rotation));
+        const [a, b, c, d, e, f] = this.parent ? this.parent._matrix() : [1, 0, 0, 1, 0, 0];
+        const [a2, b2, c2, d2] = [cos * this.scaleX, sin * this.scaleX, -sin * this.scaleY, cos * this.scaleY];
+        return [a * a2 + c * b2, b * a2 + d * b2, a * c2 + c * d2, b * c2 + d * d2, a * this.x + c * this.y + e, b * this.x + d * this.y + f];
+    }
+    /**
+     * Returns where (`x`, `y`) of this shape is on the canvas, as a 2-tuple.
+     */
+    toGlobal(x, y) {
+        const [a, b, c, d, e, f] = this._matrix();
+        return [a * x + c * y + e, b * x + d * y + f];
+    }
+    /**
+     * Returns where (`x`, `y`) of the canvas is for this shape, around its
+     * (`0`, `0`), as a 2-tuple.
+     */
+    toLocal(x, y) {
+        const [a, b, c, d, e, f] = this._matrix();
+        const determinant = a * d - b * c;
+        return [(d * (x - e) - c * (y - f)) / determinant, (a * (y - f) - b * (x - e)) / determinant];
+    }
+    /**
+     * Returns `true` if this shape covers (`x`, `y`) of the canvas.
+     * @example
+     * ```
+     * if (mouse.buttons[0] && ball.contains(mouse.x, mouse.y)) {
+     *     ball.color = "green"
+     * }
+     * ```
+     */
+    contains(x, y) {
+        return this.bounds.contains(...this.toLocal(x, y));
+    }
+    _hit(x, y, top) {
+        for (let shape = top; shape; shape = shape.parent) {
+            if (shape == this) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+/**
+ * Shapes that are moved, rotated, scaled and hidden together.
+ * @example
+ * A car that drives off:
+ * ```
+ * let car = new Group(100, 200)
+ * car.add(Shape.rectangle(0, 0, 80, 30, "red"), Shape.circle(15, 30, 10), Shape.circle(65, 30, 10))
+ * setUpdate(() => {
+ *     car.x += 3
+ * })
+ * ```
+ */
+class Group extends Shape {
+    /**
+     * The shapes of this group, in the order they were added.
+     */
+    children = [];
+    constructor(x = 0, y = 0) {
+        super(x, y);
+    }
+    /**
+     * Moves `shapes` into this group, out of the group they were in.
+     */
+    add(...shapes) {
+        for (const shape of shapes) {
+            shape.remove();
+            shape.parent = this;
+            this.children.push(shape);
+        }
+    }
+    /**
+     * Removes every shape from this group.
+     */
+    clear() {
+        for (const shape of this.children) {
+            shape.parent = null;
+        }
+        this.children = [];
+    }
+    // By `z`, and in the order they were added for the same `z`.
+    _sorted() {
+        return [...this.children].sort((a, b) => a.z - b.z);
+    }
+    _drawContent() {
+        for (const shape of this._sorted()) {
+            shape.draw();
+        }
+    }
+    /**
+     * Returns `true` if a visible shape of this group covers (`x`, `y`) of
+     * the canvas.
+     */
+    contains(x, y) {
+        return this.shapeAt(x, y) != null;
+    }
+    /**
+     * Returns the topmost visible shape, not a group, that covers (`x`, `y`)
+     * of the canvas, possibly `null`.
+     */
+    shapeAt(x, y) {
+        for (const shape of this._sorted().reverse()) {
+            if (!shape.visible) {
+                continue;
+            }
+            const found = shape instanceof Group ? shape.shapeAt(x, y) : shape.contains(x, y) ? shape : null;
+            if (found) {
+                return found;
+            }
+        }
+        return null;
+    }
+}
+/**
+ * The group of every shape on the canvas. See `stage`.
+ */
+class Stage extends Group {
+    /**
+     * The color the canvas is filled with before the shapes are drawn. If
+     * `null` the canvas is cleared.
+     */
+    background = null;
+    // Clears the canvas and draws the shapes, as long as there are any so a program without shapes draws as before.
+    _render() {
+        if (this.children.length == 0) {
+            return;
+        }
+        if (this.background) {
+            fill(this.background);
+        }
+        else {
+            clear();
+        }
+        this.draw();
+    }
+}
+/**
+ * The shapes drawn on the canvas. Every screen update the canvas is cleared
+ * and they are drawn again, before the `update`-function of `setUpdate()`
+ * runs, so what it draws itself ends up on top.
+ * @example
+ * Fill the canvas with blue behind the shapes:
+ * ```
+ * stage.background = "blue"
+ * ```
+ * @example
+ * Find the shape under the mouse pointer:
+ * ```
+ * let shape = stage.shapeAt(mouse.x, mouse.y)
+ * ```
+ */
+const stage = new Stage();
+//
+// Updates
+//
+let DT;
+let _update = () => { };
+// Set by setFixedUpdate(), which runs the program in steps of its own instead of once per screen update.
+let _fixedUpdate = null;
+let _fixedRender = alpha => { };
+let _fixedStep = 1000 / 60;
+// The time not yet stepped through, less than a step after every update.
+let _accumulator = 0;
+let _timestamp0;
+// When the editor last heard from this page, which it takes as a sign that the program isn't stuck in a loop.
+let _heartbeat = -Infinity;
+let _paused = false;
+let _stepsLeft = 0;
+let _timeScale = 1;
+function _updateHandler(timestamp) {
+    const elapsed = timestamp - _timestamp0;
+    _timestamp0 = timestamp;
+    if (timestamp - _heartbeat >= 1000) {
+        _heartbeat = timestamp;
+        _toEditor({ frame: true });
+    }
+    const started = performance.now();
+    if (!_paused) {
+        _advance(elapsed * _timeScale);
+    }
+    else if (_stepsLeft > 0) {
+        _stepsLeft--;
+        _accumulator = 0;
+        _advance(_fixedStep);
+    }
+    _countFrame(timestamp, performance.now() - started);
+    requestAnimationFrame(_updateHandler);
+}
+requestAnimationFrame(timestamp => _timestamp0 = timestamp);
+requestAnimationFrame(_updateHandler);
+// Runs the program `msDuration` milliseconds of its time ahead.
+function _advance(msDuration) {
+    if (_fixedUpdate) {
+        // After a long pause, such as a hidden tab, the program skips ahead rather than catching up.
+        _accumulator = Math.min(_accumulator + msDuration, 10 * _fixedStep);
+        DT = _fixedStep;
+        while (_accumulator >= _fixedStep) {
+            _accumulator -= _fixedStep;
+            _fixedUpdate();
+        }
+        stage._render();
+        _fixedRender(_accumulator / _fixedStep);
+    }
+    else {
+        DT = msDuration;
+        stage._render();
+        _update();
+    }
+}
+/**
+ * Runs the `update`-function once for every screen update.
+ * @example
+ * Draw a circle at random postiton each update:
+ * ```
+ * setUpdate(() => {
+ *     circle(randomInt(W), randomInt(H), 10)
+ * })
+ * ```
+ * @example
+ * Count the number of updates between two space pressings.
+ * ```
+ * text("Press space twice.")
+ * setUpdate(() => {
+ *     if (keyboard.space) {
+ *         keyboard.space = false
+ *         let n = 0
+ *
+ *         setUpdate(() => {
+ *             clear()
+ *             n++
+ *             text(n)
+ *
+ *             if (keyboard.space) {
+ *                 setUpdate()
+ *             }
+ *         })
+ *     }
+ * })
+ * ```
+ */
+function setUpdate(update = () => { }) {
+    canvas.focus(); // 7.1.1
+    _update = update;
+    _fixedUpdate = null;
+}
+/**
+ * Runs the `update`-function every `msStep` milliseconds, with `DT` always
+ * `msStep`, so a game runs the same on every screen. The `render`-function
+ * runs once for every screen update after it, with how far the program is
+ * into the next step, from `0` to `1`, to draw moving things in between.
+ * Call `setUpdate()` to go back to one update per screen update.
+ * @example
+ * A ball moving 3 pixels every step, drawn smoothly:
+ * ```
+ * let x = 0
+ * setFixedUpdate(() => {
+ *     x += 3
+ * }, (alpha) => {
+ *     clear()
+ *     circle(x + 3 * alpha, 100, 10)
+ * })
+ * ```
+ */
+function setFixedUpdate(update, render = (alpha) => { }, msStep = 1000 / 60) {
+    canvas.focus();
+    _fixedUpdate = update;
+    _fixedRender = render;
+    _fixedStep = msStep;
+    _accumulator = 0;
+}
+/**
+ * Controls the updates of the program, and shows how fast they run. The
+ * editor has buttons for the same.
+ * @example
+ * Pause the game with P:
+ * ```
+ * setUpdate(() => {
+ *     if (keyboard.p) {
+ *         keyboard.p = false
+ *         loop.pause()
+ *     }
+ * })
+ * ```
+ * @example
+ * Slow motion:
+ * ```
+ * loop.timeScale = 0.25
+ * ```
+ */
+const loop = {
+    get paused() { return _paused; },
+    /**
+     * Stops calling the update-functions, until `resume()`.
+     */
+    pause() {
+        _paused = true;
+        _stepsLeft = 0;
+        _loopChanged();
+    },
+    resume() {
+        _paused = false;
+        _loopChanged();
+    },
+    /**
+     * Pauses and runs a single update, or step of `setFixedUpdate()`, on
+     * the next screen update.
+     */
+    step() {
+        _paused = true;
+        _stepsLeft++;
+        _loopChanged();
+    },
+    /**
+     * How fast time passes for the program, `1` for real time and `0.5` for
+     * half as fast.
+     */
+    get timeScale() { return _timeScale; },
+    set timeScale(value) {
+        _timeScale = value;
+        _loopChanged();
+    },
+    /**
+     * Set to `true` to show the updates per second, and how many
+     * milliseconds the program takes for each, in a corner of the page.
+     */
+    get stats() { return !!_stats$ && !_stats$.hidden; },
+    set stats(value) {
+        if (!_stats$) {
+            _stats$ = document.createElement("output");
+            _stats$.className = "stats";
+            document.body.append(_stats$);
+        }
+        _stats$.hidden = !value;
+        _loopChanged();
+    },
+    /**
+     * Returns the number of screen updates in the last second.
+     */
+    get fps() { return _fps; }
+};
+let _stats$ = null;
+let _fps = 0;
+let _frameTimes = [];
+let _statsTime = -Infinity;
+// Keeps the last second of screen updates, and shows how it went twice a second.
+function _countFrame(timestamp, msFrameTime) {
+    _frameTimes.push([timestamp, msFrameTime]);
+    while (_frameTimes[0][0] <= timestamp - 1000) {
+        _frameTimes.shift();
+    }
+    _fps = _frameTimes.length;
+    if (loop.stats && timestamp - _statsTime >= 500) {
+        _statsTime = timestamp;
+        const msAverage = _frameTimes.reduce((sum, frame) => sum + frame[1], 0) / _frameTimes.length;
+        _stats$.value = `${_fps} fps ${msAverage.toFixed(1)} ms${_paused ? " (paused)" : ""}`;
+    }
+}
+// Tells the editor, so its buttons show what the program itself may have changed.
+function _loopChanged() {
+    _toEditor({ loop: { paused: _paused, timeScale: _timeScale, stats: loop.stats } });
+}
+// The buttons of the editor.
+function _controlLoop(message) {
+    switch (message.loop) {
+        case "pause":
+            loop.pause();
+            break;
+        case "resume":
+            loop.resume();
+            break;
+        case "step":
+            loop.step();
+            break;
+        case "set":
+            if (message.timeScale != null)
+                loop.timeScale = message.timeScale;
+            if (message.stats != null)
+                loop.stats = message.stats;
+            break;
+    }
+}
+window.addEventListener("message", event => {
+    if (event.source == parent && parent != window && event.data?.loop) {
+        _controlLoop(event.data);
+    }
+});
+function array(length, value = null) {
+    return Array.from({ length: length }, (_, i) => typeof value == "function" ? value(i) : value); // 7.1
+}
+function array2D(rows, columns, value = null) {
+    return Array.from({ length: rows }, (_, i) => Array.from({ length: columns }, (_, j) => typeof value == "function" ? value(i, j) : value)); // 7.1
+}
+let _audioContext;
+const _audioList = [];
+/**
+ * Plays a beep. A user interaction is mandatory.
+ * @example
+ * Beeps for two seconds:
+ * ```
+ * let f = +await read("Frequency (Hz): ")
+ * beep(f, 2000)
+ * ```
+ */
+function beep(frequency = 800, msDuration = 200, volume = 1) {
+    if (!_audioContext)
+        _audioContext = new AudioContext();
+    return new Promise(resolve => {
+        let audioItem = _audioList.find(item => item[0].frequency.value == frequency);
+        if (!audioItem) {
+            const oscillator = _audioContext.createOscillator();
+            const gain = _audioContext.createGain();
+            oscillator.connect(gain);
+            oscillator.type = "square";
+            gain.connect(_audioContext.destination);
+            oscillator.frequency.value = frequency;
+            oscillator.start();
+            audioItem = [oscillator, gain];
+            _audioList.push(audioItem);
+            oscillator.onended = () => {
+                _audioList.splice(_audioList.indexOf(audioItem), 1);
+                resolve();
+            };
+        }
+        audioItem[1].gain.value = volume;
+        audioItem[0].stop(_audioContext.currentTime + msDuration * 0.001);
+    });
+}
+/**
+ * Returns the character corresponding to character code `charCode`.
+ * @example
+ * ```
+ * write(char(65))      // A
+ * ```
+ */
+function char(charCode) {
+    return String.fromCodePoint(charCode);
+}
+/**
+ * Returns the character code corresponding to character `char`.
+ * @example
+ * ```
+ * write(charCode("A"))      // 65
+ * ```
+*/
+function charCode(char) {
+    return char.codePointAt(0);
+}
+/**
+ * Returns `radAngle`, an angle in radians, to degrees.
+ * @example
+ * ```
+ * write(degrees(Math.PI))      // 180
+ * ```
+ */
+function degrees(radAngle) {
+    return radAngle * 180 / Math.PI;
+}
+/**
+ *  Returns the distance between (`x1`, `y1`) and (`x2`, `y2`).
+ */
+function distance(x1, y1, x2, y2) {
+    return Math.hypot(x2 - x1, y2 - y1);
+}
+/**
+ * Returns the point with polar coordinates (`radius`, `degAngle`).
+ */
+function pointFromPolar(radius, degAngle, x0 = 0, y0 = 0) {
+    const a = radians(degAngle);
+    return [x0 + Math.cos(a) * radius, y0 + Math.sin(a) * radius];
+}
+/**
+ * Returns `degAngle`, an angle in degrees, to radians.
+ * @example
+ * ```
+ * write(radians(180))      // 3.141592653589793
+ * ```
+ */
+function radians(degAngle) {
+    return degAngle * Math.PI / 180;
+}
+function randomInt(m, n) {
+    return Math.floor(n != null ? m + Math.random() * (n - m + 1) : Math.random() * m);
+}
+/**
+ * Returns a random item from `items`, the argument list.
+ * @example
+ * A random color:
+ * ```
+ * let color = randomItem("red", "green", "blue")
+ * ```
+ */
+function randomItem(...items) {
+    return items[randomInt(items.length)];
+}
+/**
+ * Returns a RGBA color.
+ * Values `r`(ed), `g`(reen) and `b`(lue) are integers in the interval 0 to 255.
+ * Value `a`(lpha) is between `0` and `1`.
+ */
+function rgba(r, g, b, a = 1) {
+    return `rgba(${r}, ${g}, ${b}, ${a})`;
+}
+/**
+ * Shuffles `array` in place.
+ */
+function shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1);
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+}
+/**
+ * Pauses the execution för `msDuration` ms.
+ * @example
+ * Show a green screen after 3 seconds:
+ * ```
+ * fill("red")
+ * await sleep(3000)
+ * fill("green")
+ * ```
+ */
+function sleep(msDuration) {
+    return new Promise(resolve => setTimeout(() => resolve(), msDuration));
+}
+class Vector {
+    x;
+    y;
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+    static fromPolar(length, angle) {
+        return new Vector(Math.cos(angle) * length, Math.sin(angle) * length);
+    }
+    get length() {
+        return Math.hypot(this.x, this.y);
+    }
+    set length(value) {
+        const angle = this.angle;
+        this.x = value * Math.cos(angle);
+        this.y = value * Math.sin(angle);
+    }
+    get angle() {
+        return Math.atan2(this.y, this.x);
+    }
+    set angle(value) {
+        const length = this.length;
+        this.x = length * Math.cos(value);
+        this.y = length * Math.sin(value);
+    }
+    clone() {
+        return new Vector(this.x, this.y);
+    }
+    normalize() {
+        const angle = this.angle;
+        this.x = Math.cos(angle);
+        this.y = Math.sin(angle);
+    }
+    toNormalized() {
+        const angle = this.angle;
+        return new Vector(Math.cos(angle), Math.sin(angle));
+    }
+    add(v) {
+        this.x += v.x;
+        this.y += v.y;
+    }
+    toAdded(v) {
+        return new Vector(this.x + v.x, this.y + v.y);
+    }
+    subtract(v) {
+        this.x -= v.x;
+        this.y -= v.y;
+    }
+    toSubtracted(v) {
+        return new Vector(this.x - v.x, this.y - v.y);
+    }
+    multiply(v) {
+        this.x *= v.x;
+        this.y *= v.y;
+    }
+    toMultiplied(v) {
+        return new Vector(this.x * v.x, this.y * v.y);
+    }
+    divide(v) {
+        this.x /= v.x;
+        this.y /= v.y;
+    }
+    toDivided(v) {
+        return new Vector(this.x / v.x, this.y / v.y);
+    }
+    scale(s) {
+        this.x *= s;
+        this.y *= s;
+    }
+    toScaled(s) {
+        return new Vector(this.x * s, this.y * s);
+    }
+    distanceTo(v) {
+        return Math.hypot(this.x - v.x, this.y - v.y);
+    }
+    directionTo(v) {
+        const angle = Math.atan2(v.y - this.y, v.x - this.x);
+        return new Vector(Math.cos(angle), Math.sin(angle));
+    }
+    dot(v) {
+        return this.x * v.x + this.y * v.y;
+    }
+    toString() {
+        return `(${this.x}, ${this.y})`;
+    }
+}
+//
+// Collisions
+//
+/**
+ * A shape to check collisions with, which unlike a `Hitbox` can be rotated.
+ * Checks use the separating axis theorem, so polygons have to be convex.
+ * See `CircleCollider`, `RectangleCollider` and `PolygonCollider`.
+ */
+class Collider extends PointerTarget {
+    x;
+    y;
+    /**
+     * The rotation, in degrees clockwise, around (`x`, `y`).
+     */
+    rotation = 0;
+    /**
+     * Additional info about this collider.
+     */
+    tag;
+    constructor(x, y, rotation = 0) {
+        super();
+        this.x = x;
+        this.y = y;
+        this.rotation = rotation;
+    }
+    /**
+     * Returns the smallest hitbox this collider fits in.
+     */
+    get hitbox() {
+        return new Hitbox(0, 0, 0, 0);
+    }
+    /**
+     * Returns `true` if this collider overlaps `other`, a collider or a
+     * hitbox. Only touching isn't overlapping.
+     */
+    intersects(other) {
+        return this.collide(other) != null;
+    }
+    /**
+     * Returns how this collider overlaps `other`, a collider or a hitbox, as
+     * the `normal` (a `Vector` of length 1 pointing from this towards
+     * `other`) and the `depth` it would have to move back along it for them
+     * to only touch. Returns `null` if they don't overlap.
+     * @example
+     * Push the ship out of the rock:
+     * ```
+     * let collision = ship.collide(rock)
+     * if (collision) {
+     *     ship.x -= collision.normal.x * collision.depth
+     *     ship.y -= collision.normal.y * collision.depth
+     * }
+     * ```
+     */
+    collide(other) {
+        other = _colliderOf(other);
+        if (this instanceof CircleCollider && other instanceof CircleCollider) {
+            const between = new Vector(other.x - this.x, other.y - this.y);
+            const depth = this.radius + other.radius - between.length;
+            if (depth <= 0) {
+                return null;
+            }
+            return { normal: between.length > 0 ? between.toScaled(1 / between.length) : new Vector(1, 0), depth };
+        }
+        let collision = null;
+        for (const axis of [...this._axes(other), ...other._axes(this)]) {
+            const [min1, max1] = this._project(axis);
+            const [min2, max2] = other._project(axis);
+            const depth = Math.min(max1, max2) - Math.max(min1, min2);
+            if (depth <= 0) {
+                return null;
+            }
+            if (!collision || depth < collision.depth) {
+                collision = { normal: axis, depth };
+            }
+        }
+        const [x1, y1] = this._center();
+        const [x2, y2] = other._center();
+        if (collision.normal.dot(new Vector(x2 - x1, y2 - y1)) < 0) {
+            collision.normal = collision.normal.toScaled(-1);
+        }
+        return collision;
+    }
+    /**
+     * Returns `true` if this collider contains (`x`, `y`).
+     */
+    contains(x, y) {
+        return false;
+    }
+    _hit(x, y) {
+        return this.contains(x, y);
+    }
+    // The axes to project on to separate this from `other`, as vectors of length 1.
+    _axes(other) {
+        return [];
+    }
+    // The smallest and largest dot product of a point of this with `axis`.
+    _project(axis) {
+        return [0, 0];
+    }
+    _center() {
+        return [this.x, this.y];
+    }
+}
+/**
+ * A circle with center in (`x`, `y`).
+ * @example
+ * ```
+ * let ball = new CircleCollider(100, 100, 20)
+ * let wall = new RectangleCollider(200, 100, 20, 200, 30)
+ * if (ball.intersects(wall)) {
+ *     write("Bang!")
+ * }
+ * ```
+ */
+class CircleCollider extends Collider {
+    radius;
+    constructor(x, y, radius) {
+        super(x, y);
+        this.radius = radius;
+    }
+    get hitbox() {
+        return new Hitbox(this.x - this.radius, this.y - this.radius, 2 * this.radius, 2 * this.radius);
+    }
+    contains(x, y) {
+        return distance(this.x, this.y, x, y) < this.radius;
+    }
+    drawOutline(color = _color) {
+        circle(this.x, this.y, this.radius, color, 1);
+    }
+    // A circle has no edges, the axis towards the closest corner of a polygon separates them if anything does.
+    _axes(other) {
+        if (other instanceof CircleCollider) {
+            return [];
+        }
+        const closest = other.vertices.reduce((a, b) => distance(this.x, this.y, ...a) <= distance(this.x, this.y, ...b) ? a : b);
+        const axis = new Vector(closest[0] - this.x, closest[1] - this.y);
+        return axis.length > 0 ? [axis.toScaled(1 / axis.length)] : [];
+    }
+    _project(axis) {
+        const center = axis.x * this.x + axis.y * this.y;
+        return [center - this.radius, center + this.radius];
+    }
+}
+/**
+ * A convex polygon with corners in the `points`-array, relative to (`x`,
+ * `y`) before it is rotated.
+ * @example
+ * An asteroids ship:
+ * ```
+ * let ship = new PolygonCollider(W / 2, H / 2, [[20, 0], [-10, 10], [-10, -10]])
+ * ship.rotation = -90
+ * ```
+ */
+class PolygonCollider extends Collider {
+    points;
+    constructor(x, y, points, rotation = 0) {
+        super(x, y, rotation);
+        this.points = points;
+    }
+    /**
+     * Returns the corners of this polygon on the canvas, moved and rotated.
+     */
+    get vertices() {
+        const cos = Math.cos(radians(this.rotation));
+        const sin = Math.sin(radians(this.rotation));
+        return this._points().map(([x, y]) => [this.x + x * cos - y * sin, this.y + x * sin + y * cos]);
+    }
+    get hitbox() {
+        const vertices = this.vertices;
+        const xs = vertices.map(vertex => vertex[0]);
+        const ys = vertices.map(vertex => vertex[1]);
+        return new Hitbox(Math.min(...xs), Math.min(...ys), Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+    }
+    contains(x, y) {
+        const point = new Vector(x, y);
+        return this._axes().every(axis => {
+            const [min, max] = this._project(axis);
+            const projection = point.dot(axis);
+            return projection > min && projection < max;
+        });
+    }
+    drawOutline(color = _color) {
+        polygon(this.vertices, color, 1);
+    }
+    _points() {
+        return this.points;
+    }
+    // The normals of the edges.
+    _axes(other) {
+        const vertices = this.vertices;
+        return vertices.map(([x1, y1], i) => {
+            const [x2, y2] = vertices[(i + 1) % vertices.length];
+            const normal = new Vector(y1 - y2, x2 - x1);
+            return normal.toScaled(1 / normal.length);
+        });
+    }
+    _project(axis) {
+        const projections = this.vertices.map(([x, y]) => axis.x * x + axis.y * y);
+        return [Math.min(...projections), Math.max(...projections)];
+    }
+    _center() {
+        const vertices = this.vertices;
+        return [vertices.reduce((sum, vertex) => sum + vertex[0], 0) / vertices.length, vertices.reduce((sum, vertex) => sum + vertex[1], 0) / vertices.length];
+    }
+}
+/**
+ * A rectangle with center in (`x`, `y`), rotated `rotation` degrees around it.
+ */
+class RectangleCollider extends PolygonCollider {
+    width;
+    height;
+    constructor(x, y, width, height, rotation = 0) {
+        super(x, y, [], rotation);
+        this.width = width;
+        this.height = height;
+    }
+    _points() {
+        const [w, h] = [this.width / 2, this.height / 2];
+        return [[-w, -h], [w, -h], [w, h], [-w, h]];
+    }
+}
+// Hitboxes, sprites and cells collide as the rectangles they are.
+function _colliderOf(item) {
+    return item instanceof Collider ? item : new RectangleCollider(item.x + item.width / 2, item.y + item.height / 2, item.width, item.height);
+}
+/**
+ * Sorts colliders, hitboxes and sprites into square cells by where they are,
+ * so only those near each other have to be checked for collisions. Clear it
+ * and insert everything again every update.
+ * @example
+ * ```
+ * let hash = new SpatialHash(64)
+ * setUpdate(() => {
+ *     hash.clear()
+ *     hash.insert(...rocks, ...bullets)
+ *     for (const [a, b] of hash.pairs()) {
+ *         if (a.intersects(b)) {
+ *             write(a.tag + " hit " + b.tag)
+ *         }
+ *     }
+ * })
+ * ```
+ */
+class SpatialHash {
+    /**
+     * The width and height, in pixels, of a cell. About the size of the
+     * largest item works well.
+     */
+    cellSize;
+    _cells = new Map();
+    _hitboxes = new Map();
+    constructor(cellSize = 64) {
+        this.cellSize = cellSize;
+    }
+    clear() {
+        this._cells.clear();
+        this._hitboxes.clear();
+    }
+    /**
+     * Adds `items` where they are now.
+     */
+    insert(...items) {
+        for (const item of items) {
+            const hitbox = item instanceof Collider ? item.hitbox : new Hitbox(item.x, item.y, item.width, item.height);
+            this._hitboxes.set(item, hitbox);
+            for (const key of this._keys(hitbox)) {
+                if (!this._cells.has(key)) {
+                    this._cells.set(key, []);
+                }
+                this._cells.get(key).push(item);
+            }
+        }
+    }
+    /**
+     * Returns the items whose hitbox overlaps the rectangle with upper left
+     * corner in (`x`, `y`).
+     */
+    query(x, y, width, height) {
+        const area = new Hitbox(x, y, width, height);
+        const found = new Set();
+        for (const key of this._keys(area)) {
+            for (const item of this._cells.get(key) ?? []) {
+                if (this._hitboxes.get(item).intersects(area)) {
+                    found.add(item);
+                }
+            }
+        }
+        return [...found];
+    }
+    /**
+     * Returns the other items whose hitbox overlaps the one of `item`.
+     */
+    nearby(item) {
+        const hitbox = this._hitboxes.get(item) ?? (item instanceof Collider ? item.hitbox : item);
+        return this.query(hitbox.x, hitbox.y, hitbox.width, hitbox.height).filter(other => other != item);
+    }
+    /**
+     * Returns every pair of items whose hitboxes overlap, once each. Check
+     * them with `intersects()` or `collide()` for an exact answer.
+     */
+    pairs() {
+        const pairs = [];
+        const seen = new Set();
+        const indices = new Map([...this._hitboxes.keys()].map((item, i) => [item, i]));
+        for (const items of this._cells.values()) {
+            for (let i = 0; i < items.length; i++) {
+                for (let j = i + 1; j < items.length; j++) {
+                    const [a, b] = indices.get(items[i]) < indices.get(items[j]) ? [items[i], items[j]] : [items[j], items[i]];
+                    const key = indices.get(a) * indices.size + indices.get(b);
+                    if (!seen.has(key) && this._hitboxes.get(a).intersects(this._hitboxes.get(b))) {
+                        seen.add(key);
+                        pairs.push([a, b]);
+                    }
+                }
+            }
+        }
+        return pairs;
+    }
+    _keys(hitbox) {
+        const keys = [];
+        for (let i = Math.floor(hitbox.x / this.cellSize); i <= Math.floor((hitbox.x + hitbox.width) / this.cellSize); i++) {
+            for (let j = Math.floor(hitbox.y / this.cellSize); j <= Math.floor((hitbox.y + hitbox.height) / this.cellSize); j++) {
+                keys.push(`${i},${j}`);
+            }
+        }
+        return keys;
+    }
+}
+//
+// Physics
+//
+/**
+ * Something that moves in a `World`, with the position of its `collider`,
+ * a collider, hitbox or sprite. Velocities are in pixels per second and
+ * accelerations in pixels per second squared.
+ * @example
+ * A ball that falls and bounces:
+ * ```
+ * let world = new World(new Vector(0, 500))
+ * let ball = world.add(new Body(new CircleCollider(100, 50, 20)))
+ * ball.restitution = 0.8
+ * setUpdate(() => {
+ *     world.step()
+ *     clear()
+ *     circle(ball.position.x, ball.position.y, 20)
+ * })
+ * ```
+ */
+class Body {
+    collider;
+    /**
+     * Where the `collider` is, its (`x`, `y`).
+     */
+    position;
+    velocity = new Vector(0, 0);
+    /**
+     * The acceleration of this body on its own, added to the gravity of
+     * the world.
+     */
+    acceleration = new Vector(0, 0);
+    mass;
+    /**
+     * How much of its speed this body keeps when it bounces, from `0` to `1`.
+     */
+    restitution = 0.5;
+    /**
+     * How much this body slows down what slides along it, from `0` up.
+     */
+    friction = 0.2;
+    /**
+     * Static bodies, such as walls and floors, never move.
+     */
+    isStatic = false;
+    /**
+     * Additional info about this body.
+     */
+    tag;
+    _onCollision = null;
+    constructor(collider, mass = 1, isStatic = false) {
+        this.collider = collider;
+        this.position = new Vector(collider.x, collider.y);
+        this.mass = mass;
+        this.isStatic = isStatic;
+    }
+    /**
+     * Calls `handler` with the other body, `null` for an edge of the
+     * canvas, and the collision, as returned by `Collider.collide()`, every
+     * time this body hits something. Call it without a handler to remove it.
+     */
+    onCollision(handler = null) {
+        this._onCollision = handler;
+    }
+    /**
+     * Adds `impulse` divided by the mass to the velocity, as a kick would.
+     */
+    applyImpulse(impulse) {
+        if (!this.isStatic) {
+            this.velocity.add(impulse.toScaled(1 / this.mass));
+        }
+    }
+    get _inverseMass() {
+        return this.isStatic ? 0 : 1 / this.mass;
+    }
+    _sync() {
+        this.collider.x = this.position.x;
+        this.collider.y = this.position.y;
+    }
+}
+/**
+ * Moves bodies and makes them bounce off each other and the edges of the
+ * canvas. Call `step()` once every update.
+ */
+class World {
+    /**
+     * The acceleration of every body that isn't static.
+     */
+    gravity;
+    bodies = [];
+    /**
+     * Set to `false` to let bodies leave the canvas.
+     */
+    edges = true;
+    _onCollision = null;
+    _hash = new SpatialHash(64);
+    constructor(gravity = new Vector(0, 0)) {
+        this.gravity = gravity;
+    }
+    /**
+     * Adds `body` to this world and returns it.
+     */
+    add(body) {
+        this.bodies.push(body);
+        body._sync();
+        return body;
+    }
+    remove(body) {
+        this.bodies = this.bodies.filter(other => other != body);
+    }
+    /**
+     * Calls `handler` with both bodies, the second `null` for an edge of the
+     * canvas, and the collision every time two things hit each other. Call
+     * it without a handler to remove it.
+     */
+    onCollision(handler = null) {
+        this._onCollision = handler;
+    }
+    /**
+     * Moves the bodies `msDuration` milliseconds ahead, the time since the
+     * last update by default, and resolves their collisions.
+     */
+    step(msDuration = DT) {
+        // A long pause, such as a hidden tab, would send bodies through walls.
+        const dt = Math.min(msDuration ?? 0, 100) / 1000;
+        for (const body of this.bodies) {
+            if (body.isStatic) {
+                continue;
+            }
+            body.velocity.add(body.acceleration.toAdded(this.gravity).toScaled(dt));
+            body.position.add(body.velocity.toScaled(dt));
+            body._sync();
+        }
+        const bodyOf = new Map(this.bodies.map(body => [body.collider, body]));
+        this._hash.cellSize = Math.max(64, ...this.bodies.filter(body => !body.isStatic).map(body => {
+            const hitbox = _colliderOf(body.collider).hitbox;
+            return Math.max(hitbox.width, hitbox.height);
+        }));
+        this._hash.clear();
+        this._hash.insert(...bodyOf.keys());
+        for (const [a, b] of this._hash.pairs()) {
+            const [bodyA, bodyB] = [bodyOf.get(a), bodyOf.get(b)];
+            if (bodyA.isStatic && bodyB.isStatic) {
+                continue;
+            }
+            const collision = _colliderOf(a).collide(b);
+            if (collision) {
+                this._resolve(bodyA, bodyB, collision);
+            }
+        }
+        if (this.edges) {
+            for (const body of this.bodies) {
+                if (!body.isStatic) {
+                    this._collideEdges(body);
+                }
+            }
+        }
+    }
+    _collideEdges(body) {
+        const hitbox = _colliderOf(body.collider).hitbox;
+        const edges = [
+            [-hitbox.x, new Vector(-1, 0)],
+            [-hitbox.y, new Vector(0, -1)],
+            [hitbox.x + hitbox.width - W, new Vector(1, 0)],
+            [hitbox.y + hitbox.height - H, new Vector(0, 1)]
+        ];
+        for (const [depth, normal] of edges) {
+            if (depth > 0) {
+                this._resolve(body, null, { normal, depth });
+            }
+        }
+    }
+    // Pushes the bodies apart, the lighter one more, and bounces them off each other along the normal, from `a` towards `b`.
+    _resolve(a, b, collision) {
+        const { normal, depth } = collision;
+        const inverseMassA = a._inverseMass;
+        const inverseMassB = b ? b._inverseMass : 0;
+        const inverseMasses = inverseMassA + inverseMassB;
+        if (inverseMasses == 0) {
+            return;
+        }
+        a.position.subtract(normal.toScaled(depth * inverseMassA / inverseMasses));
+        a._sync();
+        if (b) {
+            b.position.add(normal.toScaled(depth * inverseMassB / inverseMasses));
+            b._sync();
+        }
+        const relativeVelocity = b ? b.velocity.toSubtracted(a.velocity) : a.velocity.toScaled(-1);
+        const speed = relativeVelocity.dot(normal);
+        // Bodies that already move apart keep going.
+        if (speed < 0) {
+            const restitution = b ? Math.min(a.restitution, b.restitution) : a.restitution;
+            const impulse = -(1 + restitution) * speed / inverseMasses;
+            a.velocity.subtract(normal.toScaled(impulse * inverseMassA));
+            b?.velocity.add(normal.toScaled(impulse * inverseMassB));
+            // Friction slows the sliding along the surface, but never more than to a stop.
+            const sliding = relativeVelocity.toSubtracted(normal.toScaled(speed));
+            if (sliding.length > 0) {
+                const tangent = sliding.toScaled(1 / sliding.length);
+                const friction = b ? Math.sqrt(a.friction * b.friction) : a.friction;
+                const frictionImpulse = Math.min(sliding.length / inverseMasses, friction * impulse);
+                a.velocity.add(tangent.toScaled(frictionImpulse * inverseMassA));
+                b?.velocity.subtract(tangent.toScaled(frictionImpulse * inverseMassB));
+            }
+        }
+        a._onCollision?.(b, collision);
+        b?._onCollision?.(a, { normal: normal.toScaled(-1), depth });
+        this._onCollision?.(a, b, collision);
+    }
+}
+//
+// I/O
+//
+const io = document.getElementById("io");
+const _params = new URL(location.href).searchParams;
+const _iParam = _params.get("i"); // input
+let _inputLines = [];
+let _inputLineIndex = 0;
+let _output$;
+let _outputValue = "";
+if (_iParam != null) {
+    _inputLines = decodeURIComponent(_iParam).split("\n");
+}
+// if (_params.get("dark") != null) {  // ?
+//     document.body.style.backgroundColor = "#121212";
+//     document.body.style.color = "white";
+// }
+/**
+ * Writes the `prompt`, and waits for user input. Hides the canvas.
+ * @example
+ * ```
+ * let name = await read("Your name? ")
+ * ```
+ */
+function read(prompt = "") {
+    ui.style.flex = ""; // 7.1
+    const input$ = element("div", prompt, io);
+    input$.className = "input";
+    _output$ = null;
+    return new Promise((resolve) => {
+        if (_inputLines[_inputLineIndex] != null) {
+            element("b", _inputLines[_inputLineIndex], input$);
+            resolve(_inputLines[_inputLineIndex++]);
+        }
+        else {
+            const value$ = element("b", input$);
+            value$.contentEditable = "true";
+            value$.focus();
+            input$.onclick = () => value$.focus();
+            value$.onkeydown = event => {
+                if (event.code == "Enter") {
+                    event.preventDefault();
+                    value$.contentEditable = "false";
+                    _inputLines[_inputLineIndex] = value$.textContent;
+                    resolve(_inputLines[_inputLineIndex++]);
+                }
+            };
+        }
+    });
+}
+/**
+ * Writes `value` to the screen. No new line if second argument, `newline`, is `false`. Hides the canvas.
+ *
+ * @example
+ * ```
+ * write("On row 1.")
+ * write("On row 2.")
+ * ```
+ * @example
+ * ```
+ * write("On row 1. ", false)
+ * write("Also on row 1.")
+ * ```
+ * @example
+ * ```
+ * write()  // Line break
+ * ```
+ */
+function write(value, newLine = true) {
+    if (!_output$) {
+        ui.style.flex = ""; // 7.1
+        _output$ = element("div", io);
+        _output$.className = "output";
+    }
+    // 7.1
+    if (arguments.length > 0) {
+        if (typeof value == "object" && ((value != null && Object.getPrototypeOf(value) === Object.prototype) || Array.isArray(value))) {
+            value = JSON.stringify(value);
+        }
+        else {
+            value = String(value);
+        }
+        if (newLine)
+            value = value.trimEnd() + "\n";
+    }
+    else {
+        value = "\n";
+    }
+    _output$.textContent += value;
+    _outputValue += value;
+    _toEditor({ console: "write", args: [{ type: "string", text: value.replace(/\n$/, "") }], time: Date.now() });
+}
+/**
+ * @deprecated Use `write` instead.
+ *
+ * Writes `value`, converted to JSON-format, to the screen. Hides the canvas.
+ */
+function writeJSON(value) {
+    write(JSON.stringify(value));
+}
+/**
+ * Clears the `io`-element (containg user input/output).
+ */
+function clearIO() {
+    io.innerHTML = "";
+    _output$ = null;
+    canvas.style.display = "none"; // 7.1
+    if (ui.hasChildNodes())
+        ui.style.flex = "1"; // 7.1    
+}
+window.addEventListener("load", () => {
+    const oParam = _params.get("o"); // output
+    if (oParam != null) {
+        const resp$ = element("p", io);
+        resp$.className = "output";
+        resp$.style.color = "black";
+        const oValue = decodeURIComponent(oParam);
+        _outputValue = _outputValue.trimEnd();
+        if (_outputValue == oValue) {
+            resp$.style.backgroundColor = "palegreen";
+            resp$.textContent = _outputValue;
+        }
+        else {
+            let offset = 0;
+            while (_outputValue[offset] == oValue[offset]) {
+                offset++;
+            }
+            // 7.1
+            let correct = oValue.slice(0, offset);
+            let incorrect = oValue.slice(offset) + " ".repeat(Math.max(0, _outputValue.length - oValue.length));
+            resp$.innerHTML = `<span style="background-color: palegreen">${correct}</span>`;
+            resp$.innerHTML += `<span style="background-color: lightsalmon">${incorrect}</span>`;
+        }
+    }
+    const testParam = _params.get("test");
+    if (testParam != null) {
+        let test$ = element("div", document.body);
+        element("button", "from: program", element("p", test$)).onclick = () => {
+            _params.set("i", encodeURIComponent(_inputLines?.join("\n")));
+            _params.set("o", encodeURIComponent(_outputValue.trimEnd()));
+            _params.delete("test");
+            window.open(window.location.origin + "?" + _params, "_blank");
+        };
+        let testInput$ = element("textarea", "input:", test$);
+        testInput$.rows = 4;
+        element("input:file", test$).oninput = (e) => {
+            const fr = new FileReader();
+            fr.onload = (e) => {
+                testInput$.value = e.target.result;
+            };
+            fr.readAsText(e.target.files[0]);
+        };
+        let testOutput$ = element("textarea", "output:", test$);
+        testOutput$.rows = 4;
+        element("input:file", test$).oninput = (e) => {
+            const fr = new FileReader();
+            fr.onload = (e) => {
+                testOutput$.value = e.target.result.trimEnd();
+            };
+            fr.readAsText(e.target.files[0]);
+        };
+        element("button", "from: text", element("p", test$)).onclick = () => {
+            _params.set("i", encodeURIComponent(testInput$.value));
+            _params.set("o", encodeURIComponent(testOutput$.value.trimEnd()));
+            _params.delete("test");
+            window.open(window.location.origin + "?" + _params, "_blank");
+        };
+    }
+});
+//
+// UI
+//
+const ui = document.getElementById("ui");
+/**
+ * Shows the canvas and recalculates width (`W`) and height (`H`).
+ */
+function resetCanvas() {
+    canvas.style.display = null;
+    ui.style.flex = ""; // 7.1
+    canvas.width = W = parseInt(getComputedStyle(canvas).width);
+    canvas.height = H = parseInt(getComputedStyle(canvas).height);
+    ctx.lineCap = "round"; // 7.2
+    canvas.focus(); // 7.1
+}
+canvas.tabIndex = 0;
+resetCanvas();
+function element(tagName, arg1, arg2, arg3) {
+    let elt;
+    let classes = [];
+    if (Array.isArray(arg1)) {
+        classes = arg1.slice(1);
+        arg1 = arg1[0];
+    }
+    if (typeof arg1 == "string") {
+        if (["input", "meter", "output", "progress", "select", "textarea"].includes(tagName.split(":")[0])) {
+            const label$ = element("label", arg2, arg3);
+            element("span", arg1, label$);
+            let position = ["input:checkbox", "input:radio"].includes(tagName) ? "right" : "top";
+            let display = "block";
+            for (const c of classes) {
+                if (["top", "right", "bottom", "left"].includes(c))
+                    position = c;
+                if (["block", "inline"].includes(c))
+                    display = c;
+            }
+            label$.className = position + " " + display;
+            return element(tagName, label$);
+        }
+        elt = document.createElement(tagName);
+        if (tagName == "fieldset") {
+            element("legend", arg1, elt);
+        }
+        else if (tagName == "details") {
+            element("summary", arg1, elt);
+        }
+        else if (tagName == "table") {
+            element("caption", arg1, elt);
+        }
+        else {
+            elt.textContent = arg1;
+        }
+    }
+    else {
+        [arg3, arg2] = [arg2, arg1];
+        if (tagName.startsWith("input:")) {
+            elt = document.createElement("input");
+            elt.type = tagName.slice(6);
+        }
+        else {
+            elt = document.createElement(tagName);
+        }
+    }
+    const parent = arg2 ?? ui;
+    parent.insertBefore(elt, parent.insertBefore(document.createTextNode("\n"), arg3 ?? null));
+    if (tagName == "input:radio") {
+        elt.name = _getLegend(parent);
+    }
+    canvas.style.display = "none";
+    if (!io.hasChildNodes())
+        ui.style.flex = "1"; // 7.1
+    return elt;
+}
+function _getLegend(elt) {
+    if (elt instanceof HTMLBodyElement)
+        return " ";
+    if (elt instanceof HTMLFieldSetElement && elt.firstElementChild instanceof HTMLLegendElement)
+        return elt.firstElementChild.textContent;
+    return _getLegend(elt.parentElement);
+}
+/**
+ * Gets the label for `labeledElement`.
+ */
+function getLabel(labeledElement) {
+    return labeledElement.previousElementSibling.textContent;
+}
+/**
+ * Sets the label for `labeledElement`.
+ */
+function setLabel(labeledElement, value) {
+    labeledElement.previousElementSibling.textContent = value;
+}
+/**
+ * Sets the location of `elt`.
+ */
+function setLocation(elt, settings) {
+    if (elt.parentElement instanceof HTMLLabelElement) {
+        elt = elt.parentElement;
+    }
+    elt.style.position = "absolute";
+    for (const [key, value] of Object.entries(settings)) {
+        elt.style[key] = value + (typeof value == "number" ? "px" : "");
+    }
+}
+//
+// Console
+//
+/**
+ * Sends `message` to the editor the page is previewed in, if it is.
+ */
+function _toEditor(message) {
+    if (window.parent != window)
+        window.parent.postMessage(message, "*");
+}
+/**
+ * The functions and positions of a stack trace of Chrome, Firefox or Safari.
+ */
+function _stackFrames(stack) {
+    const frames = [];
+    for (const line of String(stack ?? "").split("\n")) {
+        const match = line.match(/^\s*at (?:(.*?) \()?(.+?):(\d+):(\d+)\)?$/) ?? line.match(/^(.*?)@(.+?):(\d+):(\d+)$/);
+        if (match)
+            frames.push({ name: match[1] ?? "", url: match[2], line: Number(match[3]), column: Number(match[4]) });
+    }
+    return frames;
+}
+/**
+ * A short description of `value` inside another one, e.g. `"a"` or `Array(3)`.
+ */
+function _preview(value) {
+    if (typeof value == "string")
+        return JSON.stringify(value);
+    if (Array.isArray(value))
+        return `Array(${value.length})`;
+    if (value !== null && typeof value == "object" && !(value instanceof Error) && !(value instanceof Node))
+        return "{…}";
+    return _inspect(value, 0).text;
+}
+/**
+ * Describes `value` for the editor's console, which can't be sent functions,
+ * elements or prototypes. Objects and arrays list what they hold `depth`
+ * levels down, so they can be unfolded there.
+ */
+function _inspect(value, depth = 2, seen = new Set()) {
+    if (value === null || (typeof value != "object" && typeof value != "function")) {
+        return { type: value === null ? "null" : typeof value, text: typeof value == "bigint" ? `${value}n` : String(value) };
+    }
+    if (typeof value == "function") {
+        const isClass = Function.prototype.toString.call(value).startsWith("class");
+        return { type: "function", text: isClass ? `class ${value.name}` : `ƒ ${value.name}()` };
+    }
+    if (value instanceof Error)
+        return { type: "error", text: `${value.name}: ${value.message}`, stack: String(value.stack ?? ""), frames: _stackFrames(value.stack) };
+    if (value instanceof Node)
+        return { type: "element", text: `<${value.nodeName.toLowerCase()}${value.id ? "#" + value.id : ""}>` };
+    if (seen.has(value))
+        return { type: "object", text: "[Circular]" };
+    const isList = Array.isArray(value) || value instanceof Set;
+    const name = Array.isArray(value) ? "" : value.constructor?.name ?? "";
+    let entries;
+    if (value instanceof Map)
+        entries = [...value].map(([key, item]) => [String(key), item]);
+    else if (isList)
+        entries = [...value].map((item, i) => [String(i), item]);
+    else
+        entries = Object.entries(value);
+    const items = entries.slice(0, 5).map(([key, item]) => isList ? _preview(item) : `${key}: ${_preview(item)}`);
+    if (entries.length > 5)
+        items.push("…");
+    let text = isList ? `[${items.join(", ")}]` : `{${items.join(", ")}}`;
+    if (name && name != "Object")
+        text = `${name} ${text}`;
+    const description = { type: isList ? "array" : "object", text };
+    if (depth > 0 && entries.length > 0) {
+        seen.add(value);
+        description.entries = entries.slice(0, 100).map(([key, item]) => [key, _inspect(item, depth - 1, seen)]);
+        seen.delete(value);
+    }
+    return description;
+}
+// Shows what the program logs in the editor's console as well.
+for (const level of ["log", "info", "warn", "error", "debug"]) {
+    const original = console[level];
+    console[level] = (...args) => {
+        original.apply(console, args);
+        _toEditor({ console: level, args: args.map(arg => _inspect(arg)), time: Date.now() });
+    };
+}
+const _clearConsole = console.clear;
+console.clear = () => {
+    _clearConsole.call(console);
+    _toEditor({ console: "clear", args: [], time: Date.now() });
+};
+// 
+// Error handling
+//
+let _errNr = 0;
+const _error$ = document.createElement("output");
+document.body.append(_error$);
+_error$.className = "error";
+window.onerror = (event, source, lineno, colno, error) => {
+    _error$.value = `(#${++_errNr}) ${error}`;
+    _error$.focus();
+    _error$.onclick = () => {
+        _error$.innerHTML = "";
+    };
+    const description = _inspect(error ?? event);
+    // Syntax errors, and values thrown that aren't errors, only have the position the handler is given.
+    if (!description.frames?.length && source)
+        description.frames = [{ name: "", url: source, line: lineno, column: colno }];
+    _toEditor({ console: "error", args: [description], time: Date.now(), uncaught: true });
+};
+window.addEventListener("unhandledrejection", event => {
+    throw event.reason;
+});
+//# sourceMappingURL=balder.js.map
\ No newline at end of file
@@ -0,0 +1 @@
+console.log("This is base contents for the file");
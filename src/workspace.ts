@@ -0,0 +1,177 @@
+import { cp, readdir, rename, rm } from "fs/promises";
+import { compile } from "./compiler";
+import { importHistory } from "./history";
+import { storage } from "./storage";
+
+export const previewRoot = `${import.meta.dir}/preview`;
+const templateFolder = `${import.meta.dir}/template`;
+
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const editableFilePattern = /^[\w-]+\.(ts|html|css)$/;
+
+// balder.ts would be compiled over the runtime, and the preview can't start without index.html.
+const reservedFiles = ["balder.ts"];
+const protectedFiles = ["index.html"];
+
+export function isUuid(value: string): boolean {
+    return uuidPattern.test(value);
+}
+
+export function workspaceFolder(workspaceId: string): string {
+    return `${previewRoot}/${workspaceId}/`;
+}
+
+export async function workspaceExists(workspaceId: string): Promise<boolean> {
+    return isUuid(workspaceId) && storage.hasWorkspace(workspaceId);
+}
+
+/**
+ * Creates a new workspace from the template, or another folder laid out like
+ * it, and returns its id.
+ */
+export async function createWorkspace(source = templateFolder): Promise<string> {
+    const workspaceId = crypto.randomUUID();
+    await cp(source, workspaceFolder(workspaceId), { recursive: true });
+    storage.addWorkspace(workspaceId, await readFolder(workspaceFolder(workspaceId)));
+    return workspaceId;
+}
+
+/**
+ * Rebuilds the preview folder of a stored workspace if it is missing, e.g.
+ * after moving the database to another server. Assets can't be recovered.
+ * An existing folder gets the balder.js of the template, as that is what
+ * the program is checked against, however old the workspace is.
+ */
+export async function ensureWorkspaceFolder(workspaceId: string) {
+    const folder = workspaceFolder(workspaceId);
+    if (await Bun.file(`${folder}index.html`).exists()) {
+        await updateRuntime(folder);
+        return;
+    }
+
+    const files = storage.readFiles(workspaceId);
+    await cp(templateFolder, folder, { recursive: true });
+    for (const name of await listFolder(folder)) {
+        if (!(name in files)) await deleteFile(workspaceId, name, false);
+    }
+    for (const [name, content] of Object.entries(files)) {
+        await Bun.write(`${folder}${name}`, content);
+        if (name.endsWith(".ts")) await saveOutput(workspaceId, name, compile(content, name).output);
+    }
+}
+
+async function updateRuntime(folder: string) {
+    const runtime = await Bun.file(`${templateFolder}/balder.js`).text();
+    const current = Bun.file(`${folder}balder.js`);
+    if (!await current.exists() || await current.text() != runtime) await Bun.write(current, runtime);
+}
+
+/**
+ * Imports the preview folders made before workspaces were stored in the
+ * database, together with their history. Returns how many there were.
+ */
+export async function importWorkspaceFolders(): Promise<number> {
+    const entries = await readdir(previewRoot, { withFileTypes: true }).catch(() => []);
+    let imported = 0;
+    for (const entry of entries) {
+        if (!entry.isDirectory() || !isUuid(entry.name) || storage.hasWorkspace(entry.name)) continue;
+
+        storage.addWorkspace(entry.name, await readFolder(workspaceFolder(entry.name)));
+        await importHistory(entry.name);
+        imported++;
+    }
+    return imported;
+}
+
+export function isEditableFile(fileName: string): boolean {
+    return editableFilePattern.test(fileName) && !reservedFiles.includes(fileName);
+}
+
+function assertEditable(fileName: string) {
+    if (!isEditableFile(fileName)) {
+        throw new Error(`'${fileName}' is not a valid file name`);
+    }
+}
+
+function assertRemovable(fileName: string) {
+    assertEditable(fileName);
+    if (protectedFiles.includes(fileName)) throw new Error(`'${fileName}' can not be removed`);
+}
+
+function outputFile(workspaceId: string, fileName: string): string {
+    return `${workspaceFolder(workspaceId)}${fileName.replace(/\.ts$/, ".js")}`;
+}
+
+/**
+ * Returns the names of the files a student can edit in `folder`, i.e.
+ * everything but the runtime and the compiled output.
+ */
+export async function listFolder(folder: string): Promise<string[]> {
+    const entries = await readdir(folder);
+    return entries.filter(isEditableFile).sort();
+}
+
+export async function readFolder(folder: string): Promise<Record<string, string>> {
+    const files: Record<string, string> = {};
+    for (const name of await listFolder(folder)) {
+        files[name] = await Bun.file(`${folder}${name}`).text();
+    }
+    return files;
+}
+
+export async function listFiles(workspaceId: string): Promise<string[]> {
+    return Object.keys(storage.readFiles(workspaceId));
+}
+
+export async function readFiles(workspaceId: string): Promise<Record<string, string>> {
+    return storage.readFiles(workspaceId);
+}
+
+export async function saveFile(workspaceId: string, fileName: string, contents: string) {
+    assertEditable(fileName);
+    await Bun.write(`${workspaceFolder(workspaceId)}${fileName}`, contents);
+    storage.writeFile(workspaceId, fileName, contents);
+}
+
+/**
+ * Writes the compiled module of a TypeScript file next to it.
+ */
+export async function saveOutput(workspaceId: string, fileName: string, output: string) {
+    assertEditable(fileName);
+    await Bun.write(outputFile(workspaceId, fileName), output);
+}
+
+export async function createFile(workspaceId: string, fileName: string) {
+    assertEditable(fileName);
+    if (storage.hasFile(workspaceId, fileName)) {
+        throw new Error(`'${fileName}' already exists`);
+    }
+    await saveFile(workspaceId, fileName, "");
+    if (fileName.endsWith(".ts")) await saveOutput(workspaceId, fileName, "");
+}
+
+export async function renameFile(workspaceId: string, from: string, to: string) {
+    assertRemovable(from);
+    assertEditable(to);
+    if (from.split(".").pop() != to.split(".").pop()) {
+        throw new Error(`'${from}' can not change file type`);
+    }
+    if (storage.hasFile(workspaceId, to)) {
+        throw new Error(`'${to}' already exists`);
+    }
+    await rename(`${workspaceFolder(workspaceId)}${from}`, `${workspaceFolder(workspaceId)}${to}`);
+    storage.renameFile(workspaceId, from, to);
+    if (from.endsWith(".ts") && await Bun.file(outputFile(workspaceId, from)).exists()) {
+        await rename(outputFile(workspaceId, from), outputFile(workspaceId, to));
+    }
+}
+
+export async function deleteFile(workspaceId: string, fileName: string, stored = true) {
+    assertRemovable(fileName);
+    await rm(`${workspaceFolder(workspaceId)}${fileName}`, { force: true });
+    if (fileName.endsWith(".ts")) {
+        await rm(outputFile(workspaceId, fileName), { force: true });
+    }
+    if (stored) storage.deleteFile(workspaceId, fileName);
+}
@@ -0,0 +1,15 @@
+import { expect, test } from "bun:test";
+import { parseCookies } from "../src/cookies";
+
+test("parses name and value pairs", () => {
+    expect(parseCookies("sessionId=abc; theme=dark")).toEqual({ sessionId: "abc", theme: "dark" });
+});
+
+test("keeps an = in a value", () => {
+    expect(parseCookies("token=a=b==")).toEqual({ token: "a=b==" });
+});
+
+test("skips pairs without a name", () => {
+    expect(parseCookies("; =x; flag; a=1;")).toEqual({ flag: "", a: "1" });
+    expect(parseCookies("")).toEqual({});
+});
@@ -0,0 +1,70 @@
+import { describe, expect, test } from "bun:test";
+import { diffLines, replacementDiff, unifiedDiff } from "../src/diff";
+import { truncateOutput } from "../src/grader";
+
+/**
+ * The length of the longest common subsequence, the lines a shortest diff
+ * keeps.
+ */
+function commonLength(a: string[], b: string[]): number {
+    let row = new Array<number>(b.length + 1).fill(0);
+    for (const line of a) {
+        const next = [0];
+        for (let j = 0; j < b.length; j++) next.push(line == b[j] ? row[j] + 1 : Math.max(row[j + 1], next[j]));
+        row = next;
+    }
+    return row[b.length];
+}
+
+describe("diffLines", () => {
+    test("finds a shortest diff that turns one text into the other", () => {
+        let seed = 1;
+        const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+        const text = () => Array.from({ length: Math.floor(random() * 12) }, () => "abc"[Math.floor(random() * 3)]);
+
+        for (let i = 0; i < 500; i++) {
+            const [a, b] = [text(), text()];
+            const lines = diffLines(a, b);
+            expect(lines.filter((line) => line.type != "+").map((line) => line.text)).toEqual(a);
+            expect(lines.filter((line) => line.type != "-").map((line) => line.text)).toEqual(b);
+            expect(lines.filter((line) => line.type == " ")).toHaveLength(commonLength(a, b));
+            expect(lines.some((line, j) => line.type == "+" && lines[j + 1]?.type == "-")).toBe(false);
+        }
+    });
+
+    test("long texts with few changes are quick", () => {
+        const before = Array.from({ length: 30000 }, (_, i) => `line ${i}`);
+        const after = before.filter((_, i) => i % 1000 != 0).concat(["end"]);
+        const started = performance.now();
+        const lines = diffLines(before, after);
+        expect(performance.now() - started).toBeLessThan(1000);
+        expect(lines.filter((line) => line.type == "-")).toHaveLength(30);
+        expect(lines.filter((line) => line.type == "+")).toEqual([{ type: "+", text: "end" }]);
+    });
+});
+
+describe("unifiedDiff", () => {
+    test("shows the changes with three lines of context", () => {
+        expect(unifiedDiff("a\nb\nc\nd\ne\nf\ng\nh", "a\nb\nc\nd\nE\nf\ng\nh")).toBe("@@ -2,7 +2,7 @@\n b\n c\n d\n-e\n+E\n f\n g\n h");
+        expect(unifiedDiff("", "a")).toBe("@@ -0,0 +1,1 @@\n+a");
+        expect(unifiedDiff("a", "a")).toBe("");
+    });
+
+    test("replacementDiff() removes and adds every line", () => {
+        expect(replacementDiff("a\nb", "a\nc\nd")).toBe("@@ -1,2 +1,3 @@\n-a\n-b\n+a\n+c\n+d");
+        expect(replacementDiff("", "a")).toBe(unifiedDiff("", "a"));
+        expect(replacementDiff("a", "a")).toBe("");
+    });
+
+    test("a test's output is cut down before it is diffed", () => {
+        const output = Array.from({ length: 30000 }, (_, i) => `${i * 7}`).join("\n");
+        const shown = truncateOutput(output);
+        expect(shown.split("\n")).toHaveLength(1001);
+        expect(shown).toEndWith(`… ${output.length - shown.lastIndexOf("\n…")} more characters`);
+        expect(truncateOutput("short\noutput")).toBe("short\noutput");
+
+        const started = performance.now();
+        unifiedDiff(Array.from({ length: 1000 }, (_, i) => `${i}`).join("\n"), shown);
+        expect(performance.now() - started).toBeLessThan(2000);
+    });
+});
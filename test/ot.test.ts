@@ -0,0 +1,182 @@
+import { describe, expect, test } from "bun:test";
+import { TextDocument } from "../src/document";
+import { OperationClient, TextOperation } from "../src/static/js/ot.js";
+
+/**
+ * Applies two operations made against `text` in both orders, which have to
+ * end at the same text, and returns it.
+ */
+function converge(text: string, a: TextOperation, b: TextOperation): string {
+    const [aPrime, bPrime] = TextOperation.transform(a, b);
+    const ab = bPrime.apply(a.apply(text));
+    const ba = aPrime.apply(b.apply(text));
+    expect(ab).toBe(ba);
+    return ab;
+}
+
+describe("TextOperation", () => {
+    test("merges neighbouring ops of a kind and puts inserts before deletes", () => {
+        expect(new TextOperation().retain(2).retain(3).insert("a").insert("b").delete(1).delete(2).ops).toEqual([5, "ab", -3]);
+        expect(new TextOperation().delete(2).insert("x").ops).toEqual(["x", -2]);
+        expect(TextOperation.fromJSON([1, -1, "a"]).ops).toEqual([1, "a", -1]);
+        expect(new TextOperation().retain(4).isNoop()).toBe(true);
+        expect(() => TextOperation.fromJSON([1, 0.5])).toThrow();
+    });
+
+    test("apply() checks the length of the text", () => {
+        const operation = new TextOperation().retain(2).delete(1).insert("!");
+        expect(operation.apply("abc")).toBe("ab!");
+        expect(() => operation.apply("abcd")).toThrow();
+    });
+
+    test("inserts at the same offset end up in the same order everywhere", () => {
+        const a = new TextOperation().retain(1).insert("A").retain(2);
+        const b = new TextOperation().retain(1).insert("B").retain(2);
+        expect(converge("xyz", a, b)).toBe("xAByz");
+        expect(converge("xyz", b, a)).toBe("xBAyz");
+    });
+
+    test("overlapping deletes only delete once", () => {
+        const a = new TextOperation().retain(1).delete(3).retain(2);
+        const b = new TextOperation().retain(2).delete(3).retain(1);
+        expect(converge("abcdef", a, b)).toBe("af");
+
+        const same = new TextOperation().retain(1).delete(4).retain(1);
+        const [aPrime, bPrime] = TextOperation.transform(same, same);
+        expect(aPrime.isNoop() && bPrime.isNoop()).toBe(true);
+    });
+
+    test("an insert inside a deleted range survives it", () => {
+        const a = new TextOperation().retain(1).delete(4);
+        const b = new TextOperation().retain(3).insert("new").retain(2);
+        expect(converge("abcde", a, b)).toBe("anew");
+    });
+
+    test("transform() refuses operations on different texts", () => {
+        expect(() => TextOperation.transform(new TextOperation().retain(2), new TextOperation().retain(3))).toThrow();
+    });
+
+    test("compose() has the effect of both operations", () => {
+        const a = new TextOperation().retain(2).insert("xyz").delete(1).retain(3);
+        const b = new TextOperation().delete(3).retain(2).insert("!").retain(3);
+        const text = "abcdef";
+        expect(a.compose(b).apply(text)).toBe(b.apply(a.apply(text)));
+        expect(() => a.compose(a)).toThrow();
+    });
+
+    test("transformPosition() moves cursors past inserts and deletes", () => {
+        const operation = new TextOperation().insert("ab").retain(3).delete(2).retain(1);
+        expect(operation.transformPosition(0)).toBe(2);
+        expect(operation.transformPosition(2)).toBe(4);
+        expect(operation.transformPosition(4)).toBe(5);
+        expect(operation.transformPosition(5)).toBe(5);
+        expect(operation.transformPosition(6)).toBe(6);
+    });
+
+    test("fromChanges() and toChanges() convert Monaco's edits both ways", () => {
+        const changes = [
+            { rangeOffset: 6, rangeLength: 1, text: "" },
+            { rangeOffset: 1, rangeLength: 2, text: "XY" },
+            { rangeOffset: 4, rangeLength: 0, text: "_" },
+        ];
+        const operation = TextOperation.fromChanges(changes, 8);
+        expect(operation.ops).toEqual([1, "XY", -2, 1, "_", 2, -1, 1]);
+        expect(operation.apply("abcdefgh")).toBe("aXYd_efh");
+        expect(operation.toChanges()).toEqual([
+            { rangeOffset: 1, rangeLength: 2, text: "XY" },
+            { rangeOffset: 4, rangeLength: 0, text: "_" },
+            { rangeOffset: 6, rangeLength: 1, text: "" },
+        ]);
+    });
+});
+
+describe("OperationClient", () => {
+    test("sends one operation at a time and buffers what is typed meanwhile", () => {
+        const sent: [number, unknown][] = [];
+        let text = "abc";
+        const client = new OperationClient(3, (revision: number, operation: TextOperation) => sent.push([revision, operation.toJSON()]), () => {});
+
+        const first = new TextOperation().retain(3).insert("1");
+        text = first.apply(text);
+        client.applyLocal(first);
+        const second = new TextOperation().retain(4).insert("2");
+        text = second.apply(text);
+        client.applyLocal(second);
+        const third = new TextOperation().insert("0").retain(5);
+        text = third.apply(text);
+        client.applyLocal(third);
+        expect(text).toBe("0abc12");
+        expect(sent).toEqual([[3, [3, "1"]]]);
+        expect(client.buffer.ops).toEqual(["0", 4, "2"]);
+
+        client.acknowledge();
+        expect(client.revision).toBe(4);
+        expect(client.outstanding.ops).toEqual(["0", 4, "2"]);
+        expect(client.buffer).toBeNull();
+        expect(sent[1]).toEqual([4, ["0", 4, "2"]]);
+
+        client.acknowledge();
+        expect(client.outstanding).toBeNull();
+        expect(sent).toHaveLength(2);
+    });
+
+    test("remote operations are transformed past the outstanding one and the buffer", () => {
+        // The server's text, and this editor's, which is ahead by what it hasn't had acknowledged.
+        let server = "hello";
+        let local = server;
+        const sent: TextOperation[] = [];
+        const client = new OperationClient(0, (_revision: number, operation: TextOperation) => sent.push(operation), (operation: TextOperation) => {
+            local = operation.apply(local);
+        });
+
+        const outstanding = new TextOperation().insert(">").retain(5);
+        local = outstanding.apply(local);
+        client.applyLocal(outstanding);
+        const buffered = new TextOperation().retain(6).insert("!");
+        local = buffered.apply(local);
+        client.applyLocal(buffered);
+
+        // Another editor deleted "ell" first, which the server has already applied.
+        const remote = new TextOperation().retain(1).delete(3).retain(1);
+        server = remote.apply(server);
+        client.applyRemote(remote);
+        expect(local).toBe(">ho!");
+        expect(client.revision).toBe(1);
+
+        // The server transforms what it receives past the remote operation, as TextDocument does.
+        server = TextOperation.transform(sent[0], remote)[0].apply(server);
+        client.acknowledge();
+        server = sent[1].apply(server);
+        client.acknowledge();
+        expect(server).toBe(local);
+    });
+});
+
+describe("TextDocument", () => {
+    test("an operation against an older revision is transformed past the newer ones", () => {
+        const document = new TextDocument("abc");
+        expect(document.receive(new TextOperation().insert("1").retain(3), 0).apply("abc")).toBe("1abc");
+        document.receive(new TextOperation().retain(4).insert("2"), 1);
+        expect(document.text).toBe("1abc2");
+
+        // Made against "abc", before both of the others.
+        const late = document.receive(new TextOperation().retain(1).delete(1).retain(1), 0);
+        expect(late.ops).toEqual([2, -1, 2]);
+        expect(document.text).toBe("1ac2");
+        expect(document.revision).toBe(3);
+        expect(document.dirty).toBe(true);
+    });
+
+    test("operations from unknown revisions are refused", () => {
+        const document = new TextDocument("abc");
+        expect(() => document.receive(new TextOperation().retain(3), 1)).toThrow();
+        expect(() => document.receive(new TextOperation().retain(3), -1)).toThrow();
+        expect(document.text).toBe("abc");
+    });
+
+    test("replace() is an operation like the others", () => {
+        const document = new TextDocument("old");
+        expect(document.replace("new text").apply("old")).toBe("new text");
+        expect(document.revision).toBe(1);
+    });
+});
@@ -0,0 +1,667 @@
+import { afterEach, beforeEach, describe, expect, test } from "bun:test";
+import { balderPath } from "../src/declarations";
+import { HeadlessPage } from "../src/headless";
+
+const balder = await Bun.file(balderPath).text();
+
+let page: HeadlessPage;
+
+beforeEach(() => {
+    page = new HeadlessPage(balder, { width: 400, height: 300 });
+});
+
+afterEach(() => {
+    page.dispose();
+});
+
+describe("Vector", () => {
+    test("length and angle", () => {
+        expect(page.evaluate("new Vector(3, 4).length")).toBe(5);
+        expect(page.evaluate("new Vector(0, 2).angle")).toBeCloseTo(Math.PI / 2);
+
+        const v = page.evaluate("Vector.fromPolar(2, Math.PI)");
+        expect(v.x).toBeCloseTo(-2);
+        expect(v.y).toBeCloseTo(0);
+    });
+
+    test("arithmetic changes the vector, the to-methods return a new one", () => {
+        expect(page.evaluate("const v = new Vector(1, 2); v.add(new Vector(3, 4)); v.toString()")).toBe("(4, 6)");
+        expect(page.evaluate("const a = new Vector(1, 2); const b = a.toScaled(3); `${a} ${b}`")).toBe("(1, 2) (3, 6)");
+        expect(page.evaluate("new Vector(6, 8).toNormalized().length")).toBeCloseTo(1);
+        expect(page.evaluate("new Vector(1, 2).dot(new Vector(3, 4))")).toBe(11);
+        expect(page.evaluate("new Vector(1, 1).distanceTo(new Vector(4, 5))")).toBe(5);
+    });
+});
+
+describe("Hitbox", () => {
+    test("intersects overlapping boxes but not ones that only touch", () => {
+        expect(page.evaluate("new Hitbox(0, 0, 10, 10).intersects(new Hitbox(5, 5, 10, 10))")).toBe(true);
+        expect(page.evaluate("new Hitbox(0, 0, 10, 10).intersects(new Hitbox(10, 0, 10, 10))")).toBe(false);
+        expect(page.evaluate("new Hitbox(0, 0, 10, 10).intersects(new Hitbox(0, 20, 10, 10))")).toBe(false);
+        expect(page.evaluate("new Hitbox(0, 0, 10, 10).intersects(new Hitbox(2, 2, 2, 2))")).toBe(true);
+    });
+
+    test("contains its top left edge but not its bottom right one", () => {
+        expect(page.evaluate("new Hitbox(0, 0, 10, 10).contains(0, 0)")).toBe(true);
+        expect(page.evaluate("new Hitbox(0, 0, 10, 10).contains(9.5, 9.5)")).toBe(true);
+        expect(page.evaluate("new Hitbox(0, 0, 10, 10).contains(10, 5)")).toBe(false);
+    });
+});
+
+describe("colliders", () => {
+    test("circles overlap when closer than their radii", () => {
+        expect(page.evaluate("new CircleCollider(0, 0, 10).intersects(new CircleCollider(15, 0, 10))")).toBe(true);
+        expect(page.evaluate("new CircleCollider(0, 0, 10).intersects(new CircleCollider(20, 0, 10))")).toBe(false);
+        const collision = page.evaluate("new CircleCollider(0, 0, 10).collide(new CircleCollider(0, 15, 10))");
+        expect([collision.normal.x, collision.normal.y, collision.depth]).toEqual([0, 1, 5]);
+    });
+
+    test("rotated rectangles only collide where they really overlap", () => {
+        // Their hitboxes overlap, but a square turned 45 degrees has its corner 14 pixels out.
+        page.evaluate("globalThis.diamond = new RectangleCollider(0, 0, 20, 20, 45)");
+        expect(page.evaluate("diamond.hitbox.intersects(new Hitbox(9, 9, 10, 10))")).toBe(true);
+        expect(page.evaluate("diamond.intersects(new Hitbox(9, 9, 10, 10))")).toBe(false);
+        expect(page.evaluate("diamond.intersects(new Hitbox(13, -1, 10, 2))")).toBe(true);
+        expect(page.evaluate("diamond.contains(13, 0)")).toBe(true);
+        expect(page.evaluate("diamond.contains(9, 9)")).toBe(false);
+    });
+
+    test("hitboxes intersect colliders the same either way round", () => {
+        expect(page.evaluate("new Hitbox(0, 0, 10, 10).intersects(new CircleCollider(5, 5, 3))")).toBe(true);
+        expect(page.evaluate("new CircleCollider(5, 5, 3).intersects(new Hitbox(0, 0, 10, 10))")).toBe(true);
+        // The corner of the hitbox is inside the circle's bounding box, but not inside the circle.
+        expect(page.evaluate("new Hitbox(0, 0, 10, 10).intersects(new CircleCollider(14, 14, 5))")).toBe(false);
+        expect(page.evaluate("new Hitbox(9, 9, 10, 10).intersects(new RectangleCollider(0, 0, 20, 20, 45))")).toBe(false);
+    });
+
+    test("collide() tells which way and how far to push back", () => {
+        const collision = page.evaluate("new RectangleCollider(0, 0, 20, 20).collide(new RectangleCollider(16, 2, 20, 20))");
+        expect(collision.normal.x).toBeCloseTo(1);
+        expect(collision.normal.y).toBeCloseTo(0);
+        expect(collision.depth).toBeCloseTo(4);
+
+        const reversed = page.evaluate("new RectangleCollider(16, 2, 20, 20).collide(new RectangleCollider(0, 0, 20, 20))");
+        expect(reversed.normal.x).toBeCloseTo(-1);
+    });
+
+    test("circles and polygons", () => {
+        page.evaluate("globalThis.ship = new PolygonCollider(0, 0, [[20, 0], [-10, 10], [-10, -10]])");
+        expect(page.evaluate("ship.intersects(new CircleCollider(25, 0, 6))")).toBe(true);
+        expect(page.evaluate("ship.intersects(new CircleCollider(25, 0, 4))")).toBe(false);
+        // Near the corner at (-10, 10), outside along the diagonal.
+        expect(page.evaluate("new CircleCollider(-14, 14, 5).intersects(ship)")).toBe(false);
+        expect(page.evaluate("new CircleCollider(-13, 13, 5).intersects(ship)")).toBe(true);
+
+        page.evaluate("ship.rotation = 90");
+        const [x, y] = page.evaluate("ship.vertices[0]");
+        expect(x).toBeCloseTo(0);
+        expect(y).toBeCloseTo(20);
+    });
+});
+
+describe("SpatialHash", () => {
+    test("pairs() gives each pair of overlapping items once", () => {
+        page.evaluate(`globalThis.hash = new SpatialHash(10);
+            globalThis.a = new Hitbox(0, 0, 25, 25);
+            globalThis.b = new CircleCollider(20, 20, 5);
+            globalThis.c = new Hitbox(100, 100, 5, 5);
+            hash.insert(a, b, c);`);
+        expect(page.evaluate("hash.pairs().map(([x, y]) => [x == a, y == b])")).toEqual([[true, true]]);
+        expect(page.evaluate("hash.query(90, 90, 20, 20).length")).toBe(1);
+        expect(page.evaluate("hash.nearby(b)[0] == a")).toBe(true);
+        page.evaluate("hash.clear()");
+        expect(page.evaluate("hash.pairs()")).toEqual([]);
+    });
+
+    test("agrees with checking every pair", () => {
+        const [hashed, all] = page.evaluate(`const items = array(300, (i) => i % 2
+                ? new Hitbox(randomInt(1000), randomInt(1000), randomInt(5, 40), randomInt(5, 40))
+                : new CircleCollider(randomInt(1000), randomInt(1000), randomInt(3, 20)));
+            const hash = new SpatialHash(50);
+            hash.insert(...items);
+            const hitboxOf = (item) => item instanceof Collider ? item.hitbox : item;
+            let all = 0;
+            for (let i = 0; i < items.length; i++) {
+                for (let j = i + 1; j < items.length; j++) {
+                    if (hitboxOf(items[i]).intersects(hitboxOf(items[j]))) all++;
+                }
+            }
+            [hash.pairs().length, all]`);
+        expect(hashed).toBe(all);
+        expect(all).toBeGreaterThan(0);
+    });
+});
+
+describe("World", () => {
+    test("bodies accelerate with gravity, static ones stay put", () => {
+        page.evaluate(`globalThis.world = new World(new Vector(0, 100));
+            world.edges = false;
+            globalThis.ball = world.add(new Body(new CircleCollider(50, 0, 5)));
+            globalThis.wall = world.add(new Body(new Hitbox(300, 0, 10, 10), 1, true));
+            for (let i = 0; i < 10; i++) world.step(100);`);
+        expect(page.evaluate("ball.velocity.y")).toBeCloseTo(100);
+        expect(page.evaluate("ball.position.y")).toBeCloseTo(55);
+        expect(page.evaluate("[ball.collider.x, ball.collider.y]")).toEqual(page.evaluate("[ball.position.x, ball.position.y]"));
+        expect(page.evaluate("[wall.position.x, wall.position.y, wall.velocity.length]")).toEqual([300, 0, 0]);
+    });
+
+    test("step() takes the time since the last update", () => {
+        page.evaluate(`globalThis.world = new World();
+            globalThis.ball = world.add(new Body(new CircleCollider(50, 50, 5)));
+            ball.velocity = new Vector(100, 0);
+            DT = 50;
+            world.step();`);
+        expect(page.evaluate("ball.position.x")).toBeCloseTo(55);
+    });
+
+    test("equal bodies swap their velocities in an elastic collision", () => {
+        page.evaluate(`globalThis.world = new World();
+            globalThis.a = world.add(new Body(new CircleCollider(100, 100, 10)));
+            globalThis.b = world.add(new Body(new CircleCollider(125, 100, 10)));
+            a.velocity = new Vector(100, 0);
+            a.restitution = b.restitution = 1;
+            world.step(100);`);
+        expect(page.evaluate("a.velocity.x")).toBeCloseTo(0);
+        expect(page.evaluate("b.velocity.x")).toBeCloseTo(100);
+        // Pushed apart until they only touch.
+        expect(page.evaluate("b.position.x - a.position.x")).toBeCloseTo(20);
+    });
+
+    test("bodies bounce off the edges of the canvas and report it", () => {
+        page.evaluate(`globalThis.world = new World();
+            globalThis.ball = world.add(new Body(new CircleCollider(200, 290, 10)));
+            ball.velocity = new Vector(0, 200);
+            ball.restitution = 0.5;
+            globalThis.hits = [];
+            ball.onCollision((other, collision) => hits.push([other, collision.normal.y]));
+            world.step(50);`);
+        expect(page.evaluate("ball.position.y")).toBeCloseTo(290);
+        expect(page.evaluate("ball.velocity.y")).toBeCloseTo(-100);
+        expect(page.evaluate("hits")).toEqual([[null, 1]]);
+    });
+
+    test("friction slows bodies sliding along a floor", () => {
+        page.evaluate(`globalThis.world = new World(new Vector(0, 1000));
+            world.edges = false;
+            world.add(new Body(new RectangleCollider(200, 250, 400, 20), 1, true));
+            globalThis.box = world.add(new Body(new RectangleCollider(100, 230, 20, 20)));
+            box.velocity = new Vector(200, 0);
+            box.friction = 1;
+            globalThis.collisions = 0;
+            world.onCollision(() => collisions++);
+            for (let i = 0; i < 30; i++) world.step(1000 / 60);`);
+        expect(page.evaluate("box.velocity.x")).toBeLessThan(1);
+        expect(page.evaluate("box.position.y")).toBeCloseTo(230, 0);
+        expect(page.evaluate("collisions")).toBeGreaterThan(0);
+    });
+
+    test("impulses change the velocity by the mass", () => {
+        page.evaluate(`globalThis.heavy = new Body(new CircleCollider(0, 0, 10), 4);
+            heavy.applyImpulse(new Vector(8, 0));`);
+        expect(page.evaluate("heavy.velocity.x")).toBe(2);
+    });
+});
+
+describe("Grid", () => {
+    // Two rows and three columns of 100 × 100 cells with lines 1 pixel wide.
+    beforeEach(() => {
+        page.evaluate("globalThis.grid = new Grid(2, 3, 0, 0, 304, 203)");
+    });
+
+    test("lays out its cells between the lines", () => {
+        expect(page.evaluate("grid.cellWidth")).toBe(100);
+        expect(page.evaluate("grid.cellHeight")).toBe(100);
+        expect(page.evaluate("[grid.cell(1, 2).x, grid.cell(1, 2).y]")).toEqual([203, 102]);
+    });
+
+    test("cellFromPoint finds the cell under a point", () => {
+        expect(page.evaluate("grid.cellFromPoint(1, 1) == grid.cell(0, 0)")).toBe(true);
+        expect(page.evaluate("grid.cellFromPoint(150, 150) == grid.cell(1, 1)")).toBe(true);
+        expect(page.evaluate("grid.cellFromPoint(302, 201) == grid.cell(1, 2)")).toBe(true);
+    });
+
+    test("cellFromPoint returns null on a line or outside", () => {
+        expect(page.evaluate("grid.cellFromPoint(0, 50)")).toBeNull();
+        expect(page.evaluate("grid.cellFromPoint(101, 50)")).toBeNull();
+        expect(page.evaluate("grid.cellFromPoint(50, 101)")).toBeNull();
+        expect(page.evaluate("grid.cellFromPoint(350, 50)")).toBeNull();
+        expect(page.evaluate("grid.cellFromPoint(-50, 50)")).toBeNull();
+    });
+});
+
+describe("Sprite", () => {
+    beforeEach(() => {
+        page.evaluate(`globalThis.sprite = new Sprite("walk.png", 1, 3);
+            sprite.framesPerSecond = 10;
+            DT = 60;`);
+    });
+
+    test("steps a frame once its time is up", async () => {
+        await page.evaluate("sprite.update()");
+        expect(page.evaluate("sprite.index")).toBe(0);
+        await page.evaluate("sprite.update()");
+        expect(page.evaluate("sprite.index")).toBe(1);
+        expect(page.evaluate("sprite.remainingTime")).toBeCloseTo(80);
+    });
+
+    test("starts over after the last frame unless it doesn't loop", async () => {
+        for (let i = 0; i < 6; i++) await page.evaluate("sprite.update()");
+        expect(page.evaluate("sprite.index")).toBe(0);
+        expect(page.evaluate("sprite.finished")).toBe(false);
+
+        page.evaluate("sprite.loop = false");
+        for (let i = 0; i < 6; i++) await page.evaluate("sprite.update()");
+        expect(page.evaluate("sprite.index")).toBe(2);
+        expect(page.evaluate("sprite.finished")).toBe(true);
+    });
+
+    test("only starts over when the frames change", () => {
+        page.evaluate("sprite.index = 2; sprite.frames = [0, 1, 2]");
+        expect(page.evaluate("sprite.index")).toBe(2);
+        page.evaluate("sprite.frames = [2, 1]");
+        expect(page.evaluate("sprite.index")).toBe(0);
+        expect(page.evaluate("sprite.frame")).toBe(2);
+    });
+});
+
+describe("scene", () => {
+    test("shapes are redrawn every update, moved, rotated and scaled", async () => {
+        page = new HeadlessPage(balder, { width: 400, height: 300, frames: 2 });
+        const { operations } = await page.run(`const ball = Shape.circle(10, 20, 5, "red");
+            ball.rotation = 90;
+            ball.scale = 2;
+            setUpdate(() => ball.x += 10);`, "");
+        const frames = operations.filter((operation) => "frame" in operation).length;
+        expect(frames).toBe(2);
+        expect(operations.filter((operation) => operation.call == "clearRect")).toHaveLength(2);
+        const translations = operations.filter((operation) => operation.call == "translate" && operation.args[0] != 0);
+        expect(translations.map((operation) => operation.args)).toEqual([[10, 20], [20, 20]]);
+        expect(operations).toContainEqual({ call: "rotate", args: [Math.PI / 2] });
+        expect(operations).toContainEqual({ call: "scale", args: [2, 2] });
+        expect(operations).toContainEqual({ call: "ellipse", args: [0, 0, 5, 5, 0, 0, 2 * Math.PI] });
+    });
+
+    test("a program without shapes keeps what it drew", async () => {
+        page = new HeadlessPage(balder, { frames: 2 });
+        const { operations } = await page.run(`circle(10, 10, 5); setUpdate(() => {});`, "");
+        expect(operations.some((operation) => operation.call == "clearRect")).toBe(false);
+    });
+
+    test("shapes are drawn by z, hidden ones not at all", () => {
+        page.evaluate(`const a = Shape.rectangle(0, 0, 10, 10, "a");
+            const b = Shape.rectangle(0, 0, 10, 10, "b");
+            Shape.rectangle(0, 0, 10, 10, "c").visible = false;
+            a.z = 1;
+            _operations.length = 0;
+            stage.draw();`);
+        const colors = page.operations.filter((operation) => operation.set == "fillStyle").map((operation) => operation.value);
+        expect(colors).toEqual(["b", "a"]);
+    });
+
+    test("groups move their shapes, which belong to one group at a time", () => {
+        page.evaluate(`globalThis.car = new Group(100, 50);
+            globalThis.body = Shape.rectangle(0, 0, 40, 20);
+            car.add(body);`);
+        expect(page.evaluate("[stage.children.length, body.parent == car]")).toEqual([1, true]);
+        expect(page.evaluate("body.toGlobal(40, 20)")).toEqual([140, 70]);
+
+        page.evaluate("car.rotation = 90");
+        const [x, y] = page.evaluate("body.toGlobal(40, 20)");
+        expect(x).toBeCloseTo(80);
+        expect(y).toBeCloseTo(90);
+        expect(page.evaluate("body.toLocal(80, 90)").map(Math.round)).toEqual([40, 20]);
+
+        page.evaluate("stage.add(body)");
+        expect(page.evaluate("[car.children.length, stage.children.length]")).toEqual([0, 2]);
+        page.evaluate("body.remove()");
+        expect(page.evaluate("[stage.children.length, body.parent]")).toEqual([1, null]);
+    });
+
+    test("hit-testing follows the transforms and finds the topmost shape", () => {
+        page.evaluate(`globalThis.bar = Shape.rectangle(100, 100, 40, 10);
+            globalThis.dot = Shape.circle(110, 105, 3);`);
+        expect(page.evaluate("bar.contains(130, 105)")).toBe(true);
+        expect(page.evaluate("bar.contains(105, 130)")).toBe(false);
+
+        page.evaluate("bar.rotation = 90");
+        expect(page.evaluate("bar.contains(130, 105)")).toBe(false);
+        expect(page.evaluate("bar.contains(95, 130)")).toBe(true);
+
+        expect(page.evaluate("stage.shapeAt(110, 105) == dot")).toBe(true);
+        page.evaluate("dot.visible = false");
+        expect(page.evaluate("stage.shapeAt(98, 105) == bar")).toBe(true);
+        expect(page.evaluate("stage.shapeAt(300, 300)")).toBeNull();
+    });
+
+    test("text shapes draw their current value", () => {
+        page.evaluate(`const score = Shape.text(0, 10, 30);
+            score.value = 12;
+            _operations.length = 0;
+            stage.draw();`);
+        expect(page.operations).toContainEqual({ call: "fillText", args: ["12", 0, 0] });
+        expect(page.evaluate("stage.shapeAt(20, 20) != null")).toBe(true);
+    });
+});
+
+describe("pointer events", () => {
+    beforeEach(() => {
+        page.evaluate(`globalThis.events = [];
+            globalThis.record = (name) => (event) => events.push([name, event.type, event.x, event.y]);`);
+    });
+
+    test("a press and release on a hitbox is a click, for mouse and touch alike", () => {
+        page.evaluate(`const box = new Hitbox(10, 10, 20, 20);
+            box.onClick(record("box"));
+            box.onPointerDown((event) => events.push(["down", event.pointer, event.button]));
+            _pointerDown("mouse", 15, 15, 0);
+            _pointerUp("mouse", 16, 15, 0);
+            _pointerDown(7, 20, 20, 0);
+            _pointerUp(7, 20, 20, 0);
+            _pointerDown("mouse", 15, 15, 0);
+            _pointerUp("mouse", 50, 50, 0);`);
+        expect(page.evaluate("events")).toEqual([
+            ["down", "mouse", 0],
+            ["box", "click", 16, 15],
+            ["down", "touch", 0],
+            ["box", "click", 20, 20],
+            ["down", "mouse", 0],
+        ]);
+    });
+
+    test("handlers can be replaced and removed", () => {
+        page.evaluate(`globalThis.box = new Hitbox(0, 0, 10, 10);
+            box.onClick(record("first"));
+            box.onClick(record("second"));
+            _pointerDown("mouse", 5, 5, 0);
+            _pointerUp("mouse", 5, 5, 0);`);
+        expect(page.evaluate("events.map((event) => event[0])")).toEqual(["second"]);
+        page.evaluate("box.onClick()");
+        expect(page.evaluate("_pointerTargets.has(box)")).toBe(false);
+    });
+
+    test("hovering reports entering and leaving", () => {
+        page.evaluate(`const box = new Hitbox(10, 10, 20, 20);
+            box.onHover((event) => events.push(event.hovered));
+            _pointerMove("mouse", 0, 0);
+            _pointerMove("mouse", 15, 15);
+            _pointerMove("mouse", 16, 15);
+            _pointerMove("mouse", 50, 15);
+            _pointerMove("mouse", 15, 15);
+            _pointerLeave("mouse");`);
+        expect(page.evaluate("events")).toEqual([true, false, true, false]);
+    });
+
+    test("moving while pressed drags instead of clicking", () => {
+        page.evaluate(`const box = Shape.rectangle(10, 10, 20, 20);
+            box.onClick(record("click"));
+            box.onDragStart(record("start"));
+            box.onDrag((event) => events.push(["drag", event.dx, event.dy]));
+            box.onDragEnd(record("end"));
+            _pointerDown("mouse", 15, 15, 0);
+            _pointerMove("mouse", 16, 15);
+            _pointerMove("mouse", 25, 15);
+            _pointerMove("mouse", 100, 20);
+            _pointerUp("mouse", 100, 20, 0);`);
+        expect(page.evaluate("events")).toEqual([
+            ["start", "dragstart", 15, 15],
+            ["drag", 10, 0],
+            ["drag", 75, 5],
+            ["end", "dragend", 100, 20],
+        ]);
+    });
+
+    test("only the topmost shape and its groups are hit", () => {
+        page.evaluate(`const below = Shape.rectangle(0, 0, 50, 50);
+            const group = new Group(0, 0);
+            const above = Shape.circle(25, 25, 10);
+            group.add(above);
+            for (const [name, target] of [["below", below], ["above", above], ["group", group], ["stage", stage]]) {
+                target.onPointerDown(record(name));
+            }
+            _pointerDown("mouse", 25, 25, 0);
+            _pointerDown("mouse", 5, 5, 0);
+            above.visible = false;
+            _pointerDown("mouse", 25, 25, 0);`);
+        expect(page.evaluate("events.map((event) => event[0])")).toEqual(["above", "group", "stage", "below", "stage", "below", "stage"]);
+    });
+
+    test("grids get the cell under the pointer, cells their own events", () => {
+        page.evaluate(`const grid = new Grid(2, 3, 0, 0, 304, 203);
+            grid.onClick((event) => events.push(["grid", event.cell && [event.cell.row, event.cell.column]]));
+            grid.cell(1, 2).onClick(record("cell"));
+            _pointerDown("mouse", 250, 150, 0);
+            _pointerUp("mouse", 250, 150, 0);
+            _pointerDown("mouse", 101, 50, 0);
+            _pointerUp("mouse", 101, 50, 0);`);
+        expect(page.evaluate("events")).toEqual([["grid", [1, 2]], ["cell", "click", 250, 150], ["grid", null]]);
+    });
+
+    test("the canvas gets every event", () => {
+        page.evaluate(`canvas.onPointerMove(record("canvas"));
+            _pointerMove("mouse", 300, 200);`);
+        expect(page.evaluate("events")).toEqual([["canvas", "pointermove", 300, 200]]);
+    });
+});
+
+describe("write() and read()", () => {
+    test("write() puts each value on a line of its own", async () => {
+        const { output } = await page.run(`write("a  ");
+            write(1, false);
+            write(2);
+            write({ x: 1 });
+            write([1, "b"]);
+            write();
+            writeJSON("c");`, "");
+        expect(output).toBe("a\n12\n{\"x\":1}\n[1,\"b\"]\n\n\"c\"\n");
+    });
+
+    test("read() returns the input a line at a time", async () => {
+        const { output, error } = await page.run(`let a = await read("First? ");
+            let b = await read();
+            write(Number(a) + Number(b));`, "2\n3");
+        expect(error).toBeUndefined();
+        expect(output).toBe("5\n");
+    });
+
+    test("a program waiting for more input than there is has ended", async () => {
+        const { output } = await page.run(`while (true) write(await read());`, "x\ny");
+        expect(output).toBe("x\ny\n");
+    });
+
+    test("errors are reported with what was written before", async () => {
+        const { output, error } = await page.run(`write("before"); null.x;`, "");
+        expect(output).toBe("before\n");
+        expect(error).toStartWith("TypeError");
+    });
+});
+
+describe("sandbox", () => {
+    test("programs can't reach the host through the constructors of its objects", async () => {
+        const { output, error } = await page.run(`write([typeof process, typeof require, typeof Bun]);
+            write(globalThis.constructor.constructor("return typeof process")());
+            globalThis.constructor.constructor("return process")().env;`, "");
+        expect(output).toBe("[\"undefined\",\"undefined\",\"undefined\"]\nundefined\n");
+        expect(error).toStartWith("ReferenceError");
+    });
+
+    test("so does the balder.js of a workspace, which the command line loads", async () => {
+        const tampered = `${balder}\nglobalThis.constructor.constructor("return process")().exit();`;
+        expect(() => new HeadlessPage(tampered)).toThrow("ReferenceError");
+    });
+
+    test("programs can't import modules", async () => {
+        const { error } = await page.run(`await import("fs");`, "");
+        expect(error).toContain("bundled");
+    });
+
+    test("a program that doesn't end is stopped", async () => {
+        const { output, error } = await page.run(`write("before"); while (true) {}`, "", 200);
+        expect(output).toBe("before\n");
+        expect(error).toBe("The program didn't end within 0.2 s");
+    });
+
+    test("a program can't take all the memory", async () => {
+        const { error } = await page.run(`const items = []; while (true) items.push(new Array(100000).fill(1));`, "", 10000);
+        expect(error).toContain("memory");
+    });
+});
+
+describe("drawing", () => {
+    test("the canvas has the size of the page", () => {
+        expect(page.evaluate("[W, H]")).toEqual([400, 300]);
+    });
+
+    test("shapes are recorded as calls on the context", () => {
+        page.evaluate(`circle(10, 20, 5, "red"); line(0, 0, W, H)`);
+        expect(page.operations).toEqual([
+            { set: "lineCap", value: "round" },
+            { call: "beginPath", args: [] },
+            { call: "ellipse", args: [10, 20, 5, 5, 0, 0, 2 * Math.PI] },
+            { set: "fillStyle", value: "red" },
+            { call: "fill", args: [] },
+            { call: "beginPath", args: [] },
+            { call: "moveTo", args: [0, 0] },
+            { call: "lineTo", args: [400, 300] },
+            { set: "strokeStyle", value: "rgb(0, 0, 0)" },
+            { set: "lineWidth", value: 1 },
+            { call: "stroke", args: [] },
+        ]);
+    });
+
+    test("image() waits for the image and draws it", async () => {
+        const { operations } = await page.run(`await image("assets/cat.png", 5, 6, 7, 8); write("drawn");`, "");
+        expect(operations.at(-1)).toEqual({ call: "drawImage", args: ["assets/cat.png", 5, 6, 7, 8] });
+    });
+});
+
+describe("time", () => {
+    test("sleep() doesn't hold up the run", async () => {
+        const started = Date.now();
+        const { output } = await page.run(`await sleep(60000); write(performance.now());`, "");
+        expect(output).toBe("60000\n");
+        expect(Date.now() - started).toBeLessThan(1000);
+    });
+
+    test("setUpdate() runs once per screen update", async () => {
+        page = new HeadlessPage(balder, { frames: 4 });
+        const { output, operations } = await page.run(`let n = 0; setUpdate(() => write(++n));`, "");
+        expect(output).toBe("1\n2\n3\n4\n");
+        expect(operations.filter((operation) => "frame" in operation)).toHaveLength(4);
+    });
+
+    test("setFixedUpdate() steps at its own pace and renders every screen update", async () => {
+        page = new HeadlessPage(balder, { frames: 7 });
+        const { output } = await page.run(`setFixedUpdate(() => write("step " + DT), (alpha) => write(alpha >= 0 && alpha < 1), 30);`, "");
+        // The first update only starts the clock, the six after it take 100 ms.
+        const lines = output.trim().split("\n");
+        expect(lines.filter((line) => line.startsWith("step"))).toEqual(["step 30", "step 30", "step 30"]);
+        expect(lines.filter((line) => line == "true")).toHaveLength(7);
+    });
+
+    test("a paused loop only runs the updates it is stepped", async () => {
+        page = new HeadlessPage(balder, { frames: 6 });
+        const { output, operations } = await page.run(`let n = 0;
+            setUpdate(() => write(++n));
+            loop.pause();
+            loop.step();
+            loop.step();`, "");
+        expect(output).toBe("1\n2\n");
+        expect(page.evaluate("[loop.paused, Math.round(DT)]")).toEqual([true, 17]);
+        expect(operations.filter((operation) => "frame" in operation)).toHaveLength(6);
+    });
+
+    test("the time scale slows the program's time down", async () => {
+        page = new HeadlessPage(balder, { frames: 3 });
+        const { output } = await page.run(`loop.timeScale = 0.5; setUpdate(() => write(Math.round(DT * 100)));`, "");
+        expect(output).toBe("0\n833\n833\n");
+    });
+
+    test("the editor controls the loop and hears what changed", () => {
+        page.evaluate(`globalThis.parent = { postMessage: (message) => (globalThis.sent ??= []).push(message) };
+            _controlLoop({ loop: "pause" });
+            _controlLoop({ loop: "set", timeScale: 2, stats: true });
+            _controlLoop({ loop: "resume" });`);
+        expect(page.evaluate("sent.map((message) => message.loop)")).toEqual([
+            { paused: true, timeScale: 1, stats: false },
+            { paused: true, timeScale: 2, stats: false },
+            { paused: true, timeScale: 2, stats: true },
+            { paused: false, timeScale: 2, stats: true },
+        ]);
+    });
+});
+
+describe("console", () => {
+    test("values are described for the editor", () => {
+        expect(page.evaluate(`_inspect("a")`)).toEqual({ type: "string", text: "a" });
+        expect(page.evaluate(`_inspect(undefined)`)).toEqual({ type: "undefined", text: "undefined" });
+        expect(page.evaluate(`_inspect(Vector)`)).toEqual({ type: "function", text: "class Vector" });
+        expect(page.evaluate(`_inspect(new Vector(1, 2))`)).toEqual({
+            type: "object",
+            text: "Vector {x: 1, y: 2}",
+            entries: [["x", { type: "number", text: "1" }], ["y", { type: "number", text: "2" }]],
+        });
+        expect(page.evaluate(`_inspect([1, "b", [2], { c: 3 }, null, 6]).text`)).toBe(`[1, "b", Array(1), {…}, null, …]`);
+        expect(page.evaluate(`_inspect(new TypeError("bad")).text`)).toBe("TypeError: bad");
+    });
+
+    test("only unfolds objects a few levels down and stops at cycles", () => {
+        const nested = page.evaluate(`_inspect({ a: { b: { c: { d: 1 } } } })`);
+        expect(nested.entries[0][1].entries[0][1]).toEqual({ type: "object", text: "{c: {…}}" });
+        const cycle = page.evaluate(`const cycle = { name: "me" }; cycle.self = cycle; _inspect(cycle)`);
+        expect(cycle.entries[1][1]).toEqual({ type: "object", text: "[Circular]" });
+    });
+
+    test("errors bring the frames of their stack", () => {
+        const chrome = `TypeError: x is null
+    at move (http://localhost:3201/preview/a/script.js:3:11)
+    at http://localhost:3201/preview/a/script.js:6:1`;
+        expect(page.evaluate(`_stackFrames(${JSON.stringify(chrome)})`)).toEqual([
+            { name: "move", url: "http://localhost:3201/preview/a/script.js", line: 3, column: 11 },
+            { name: "", url: "http://localhost:3201/preview/a/script.js", line: 6, column: 1 },
+        ]);
+        const firefox = `move@http://localhost:3201/preview/a/script.js:3:11
+@http://localhost:3201/preview/a/script.js:6:1`;
+        expect(page.evaluate(`_stackFrames(${JSON.stringify(firefox)})`)).toHaveLength(2);
+        expect(page.evaluate(`_inspect(new Error("x")).frames`)).toBeArray();
+    });
+
+    test("logs and output are posted to the editor", () => {
+        page.evaluate(`globalThis.parent = { postMessage: (message) => (globalThis.sent ??= []).push(message) };
+            console.warn("careful", 1);
+            write("out");`);
+        const sent = page.evaluate("sent");
+        expect(sent.map((message: any) => [message.console, message.args])).toEqual([
+            ["warn", [{ type: "string", text: "careful" }, { type: "number", text: "1" }]],
+            ["write", [{ type: "string", text: "out" }]],
+        ]);
+        expect(sent[0].time).toBeNumber();
+    });
+});
+
+describe("helpers", () => {
+    test("array() and array2D()", () => {
+        expect(page.evaluate("array(3, 0)")).toEqual([0, 0, 0]);
+        expect(page.evaluate("array(3, (i) => i * i)")).toEqual([0, 1, 4]);
+        expect(page.evaluate("array2D(2, 2, (i, j) => i + j)")).toEqual([[0, 1], [1, 2]]);
+    });
+
+    test("conversions", () => {
+        expect(page.evaluate("char(65)")).toBe("A");
+        expect(page.evaluate("charCode('A')")).toBe(65);
+        expect(page.evaluate("degrees(Math.PI)")).toBe(180);
+        expect(page.evaluate("radians(180)")).toBe(Math.PI);
+        expect(page.evaluate("rgba(1, 2, 3)")).toBe("rgba(1, 2, 3, 1)");
+        expect(page.evaluate("distance(0, 0, 3, 4)")).toBe(5);
+    });
+
+    test("randomInt() stays within its bounds", () => {
+        const values: number[] = page.evaluate("array(200, () => randomInt(3, 5))");
+        expect(values.every((value) => Number.isInteger(value) && value >= 3 && value <= 5)).toBe(true);
+        expect(new Set(values).size).toBe(3);
+        expect(page.evaluate("array(200, () => randomInt(2)).every((value) => value == 0 || value == 1)")).toBe(true);
+    });
+
+    test("shuffle() keeps the items", () => {
+        expect(page.evaluate("const items = array(20, (i) => i); shuffle(items); items.sort((a, b) => a - b)")).toEqual(Array.from({ length: 20 }, (_, i) => i));
+    });
+});
@@ -0,0 +1,422 @@
+import { afterAll, beforeAll, describe, expect, test } from "bun:test";
+import type { Subprocess } from "bun";
+import { mkdtemp, rm } from "fs/promises";
+import os from "os";
+import path from "path";
+import { TextOperation } from "../src/static/js/ot.js";
+import { protocolVersion } from "../src/static/js/protocol.js";
+
+const root = path.resolve(import.meta.dir, "..");
+
+let server: Subprocess<"ignore", "pipe", "inherit">;
+let base: string;
+let previewBase: string;
+let dataFolder: string;
+// The workspaces the tests made, whose preview folders are removed afterwards.
+const workspaces: string[] = [];
+
+/**
+ * Starts the server on a port of its own, with a database of its own.
+ */
+beforeAll(async () => {
+    dataFolder = await mkdtemp(path.join(os.tmpdir(), "balder-test-"));
+    server = Bun.spawn(["bun", "src/index.ts"], {
+        cwd: root,
+        env: { ...process.env, PORT: "0", PREVIEW_PORT: "0", DATABASE: `${dataFolder}/test.sqlite`, SHARES: `${dataFolder}/shares`, SAVE_DELAY: "20" },
+        stdout: "pipe",
+        stderr: "inherit",
+    });
+
+    let log = "";
+    const decoder = new TextDecoder();
+    for await (const chunk of server.stdout) {
+        log += decoder.decode(chunk);
+        const match = log.match(/Server running on (\S+?)\/?\s[^]*Previews served on (\S+?)\/?\s/);
+        if (match) {
+            [, base, previewBase] = match;
+            break;
+        }
+    }
+    if (!base) throw new Error(`The server didn't start:\n${log}`);
+}, 30000);
+
+afterAll(async () => {
+    server.kill();
+    await server.exited;
+    for (const workspaceId of workspaces) await rm(`${root}/src/preview/${workspaceId}`, { recursive: true, force: true });
+    await rm(dataFolder, { recursive: true, force: true });
+});
+
+/**
+ * Opens the editor like a new visitor, which creates a workspace.
+ */
+async function visit(cookie = ""): Promise<{ response: Response, cookie: string, workspaceId: string }> {
+    const response = await fetch(`${base}/`, { headers: { cookie } });
+    const page = await response.text();
+    const workspaceId = page.match(/id="userId" hidden>([^<]+)</)![1];
+    if (!workspaces.includes(workspaceId)) workspaces.push(workspaceId);
+    return { response, cookie: response.headers.get("set-cookie")!.split(";")[0], workspaceId };
+}
+
+class Client {
+    private messages: any[] = [];
+    private waiting: { predicate: (message: any) => boolean, resolve: (message: any) => void }[] = [];
+    private nextId = 1;
+
+    private constructor(private socket: WebSocket) {
+        socket.onmessage = (event) => {
+            const message = JSON.parse(event.data);
+            const waiter = this.waiting.find((waiter) => waiter.predicate(message));
+            if (waiter) {
+                this.waiting.splice(this.waiting.indexOf(waiter), 1);
+                waiter.resolve(message);
+            } else {
+                this.messages.push(message);
+            }
+        };
+    }
+
+    /**
+     * Opens a socket as the session of `cookie`, whose workspace it edits.
+     */
+    static async connect(cookie = "", headers: Record<string, string> = {}): Promise<Client> {
+        const socket = new WebSocket(base.replace(/^http/, "ws"), { headers: { cookie, ...headers } });
+        await new Promise((resolve, reject) => {
+            socket.onopen = resolve;
+            socket.onerror = reject;
+        });
+        return new Client(socket);
+    }
+
+    sendRaw(data: string) {
+        this.socket.send(data);
+    }
+
+    send(type: string, payload: object = {}): number {
+        const id = this.nextId++;
+        this.sendRaw(JSON.stringify({ version: protocolVersion, type, id, ...payload }));
+        return id;
+    }
+
+    /**
+     * Sends a message and waits for the reply to it.
+     */
+    request(type: string, payload: object = {}): Promise<any> {
+        const id = this.send(type, payload);
+        return this.next((message) => message.replyTo == id);
+    }
+
+    /**
+     * Waits for the first message, received or still to come, that matches.
+     */
+    next(predicate: (message: any) => boolean): Promise<any> {
+        const index = this.messages.findIndex(predicate);
+        if (index >= 0) return Promise.resolve(this.messages.splice(index, 1)[0]);
+        return new Promise((resolve) => this.waiting.push({ predicate, resolve }));
+    }
+
+    close() {
+        this.socket.close();
+    }
+}
+
+describe("HTTP", () => {
+    test("a visitor gets a session and a workspace of their own", async () => {
+        const first = await visit();
+        expect(first.response.status).toBe(200);
+        expect(first.response.headers.get("set-cookie")).toMatch(/^sessionId=[\w-]+; Path=\/; Max-Age=\d+; HttpOnly; SameSite=Strict$/);
+
+        const again = await visit(first.cookie);
+        const other = await visit();
+        expect(again.workspaceId).toBe(first.workspaceId);
+        expect(other.workspaceId).not.toBe(first.workspaceId);
+    });
+
+    test("the preview serves the files of the workspace", async () => {
+        const { workspaceId } = await visit();
+
+        const index = await fetch(`${previewBase}/preview/${workspaceId}/`);
+        expect(index.status).toBe(200);
+        expect(await index.text()).toContain("balder.js");
+        const etag = index.headers.get("ETag")!;
+        expect((await fetch(`${previewBase}/preview/${workspaceId}/`, { headers: { "If-None-Match": etag } })).status).toBe(304);
+
+        const source = await fetch(`${previewBase}/preview/${workspaceId}/script.ts`);
+        expect(source.headers.get("Content-Type")).toStartWith("text/plain");
+
+        const redirect = await fetch(`${previewBase}/preview/${workspaceId}`, { redirect: "manual" });
+        expect(redirect.status).toBe(301);
+    });
+
+    test("previews are only served on an origin of their own, in a sandbox", async () => {
+        const { cookie, workspaceId } = await visit();
+        const moved = await fetch(`${base}/preview/${workspaceId}/?i=1`, { redirect: "manual" });
+        expect(moved.status).toBe(301);
+        expect(moved.headers.get("Location")).toBe(`${previewBase}/preview/${workspaceId}/?i=1`);
+
+        const page = await (await fetch(`${base}/`, { headers: { cookie } })).text();
+        expect(page).toContain(`<iframe src="${previewBase}/preview/${workspaceId}/" title="preview" id="preview" sandbox="allow-scripts">`);
+
+        const policy = (await fetch(`${previewBase}/preview/${workspaceId}/`)).headers.get("Content-Security-Policy")!;
+        expect(policy).toContain("connect-src 'none'");
+        expect(policy).toContain("sandbox allow-scripts");
+        expect((await fetch(`${previewBase}/`)).status).toBe(404);
+        expect((await fetch(`${previewBase}/types/balder.d.ts`)).status).toBe(404);
+    });
+
+    test("workspaces made with an older balder.js get the template's", async () => {
+        const { cookie, workspaceId } = await visit();
+        await Bun.write(`${root}/src/preview/${workspaceId}/balder.js`, "// an older version");
+        await visit(cookie);
+        const runtime = await (await fetch(`${previewBase}/preview/${workspaceId}/balder.js`)).text();
+        expect(runtime).toBe(await Bun.file(`${root}/src/template/balder.js`).text());
+    });
+
+    test("the preview stays inside the workspace", async () => {
+        const { workspaceId } = await visit();
+        expect((await fetch(`${previewBase}/preview/${workspaceId}/..%2f..%2f..%2fpackage.json`)).status).toBe(404);
+        expect((await fetch(`${previewBase}/preview/not-a-workspace/index.html`)).status).toBe(404);
+        // `..` is resolved before the request is routed, so it ends up somewhere else, never at the file.
+        const source = await (await fetch(`${previewBase}/preview/${workspaceId}/%2e%2e/%2e%2e/index.ts`)).text();
+        expect(source).not.toContain("Bun.serve");
+    });
+
+    test("static files and the declarations of balder.js", async () => {
+        expect((await fetch(`${base}/script/main.js`)).status).toBe(200);
+        expect((await fetch(`${base}/style/style.css`)).status).toBe(200);
+        expect(await (await fetch(`${base}/script/../index.ts`)).text()).not.toContain("Bun.serve");
+
+        const declarations = await (await fetch(`${base}/types/balder.d.ts`)).text();
+        expect(declarations).toContain("declare function write(");
+    });
+
+    test("teachers have to log in", async () => {
+        const page = await (await fetch(`${base}/teacher`)).text();
+        expect(page).toContain('action="/teacher/login"');
+        expect((await fetch(`${base}/teacher/assignments/${crypto.randomUUID()}`)).status).toBe(200);
+    });
+
+    test("instructions can't run scripts in the students' editors", async () => {
+        const post = (url: string, cookie: string, fields: Record<string, string>) =>
+            fetch(`${base}${url}`, { method: "POST", headers: { cookie }, body: new URLSearchParams(fields), redirect: "manual" });
+
+        const { cookie: teacher } = await visit();
+        await post("/teacher/register", teacher, { name: `teacher-${crypto.randomUUID()}`, password: "secret password" });
+        await post("/teacher/classes", teacher, { name: "1A" });
+        const overview = await (await fetch(`${base}/teacher`, { headers: { cookie: teacher } })).text();
+        const [, joinCode] = overview.match(/Join code: <code>(\w+)</)!;
+        const [, classroomId] = overview.match(/action="\/teacher\/classes\/([\w-]+)\/assignments"/)!;
+        const created = await post(`/teacher/classes/${classroomId}/assignments`, teacher, {
+            title: "Links",
+            instructions: "[a](javascript:alert(1)) [b](&#106;avascript:alert(2)) ![c](JAVASCRIPT:alert(3)) [d](https://example.com/?a=1&b=2) [e](mailto:a@example.com) [f](/class) "
+                + "![g](https://example.com/g.png) ![h](http://example.com/h.png) ![i](i.png)",
+        });
+        const assignmentId = created.headers.get("Location")!.split("/").pop();
+
+        const { cookie: student } = await visit();
+        await post("/class/join", student, { code: joinCode, name: "Student" });
+        await fetch(`${base}/class/assignments/${assignmentId}`, { headers: { cookie: student }, redirect: "manual" });
+        const editor = await fetch(`${base}/`, { headers: { cookie: student } });
+        const page = await editor.text();
+        workspaces.push(page.match(/id="userId" hidden>([^<]+)</)![1]);
+        await rm(`${root}/src/assignments/${assignmentId}`, { recursive: true, force: true });
+
+        expect(page).not.toContain("javascript:");
+        expect(page).not.toContain("JAVASCRIPT:");
+        expect(page).toContain('<a href="https://example.com/?a=1&amp;b=2">d</a>');
+        expect(page).toContain('<a href="mailto:a@example.com">e</a>');
+        expect(page).toContain('<a href="/class">f</a>');
+        expect(page).toContain("<a>a</a>");
+        // Images from elsewhere only on https, which is what the page's policy lets it load.
+        expect(page).toContain('<img src="https://example.com/g.png" alt="g" />');
+        expect(page).toContain('<img alt="h" />');
+        expect(page).toContain('<img src="i.png" alt="i" />');
+
+        const policy = editor.headers.get("Content-Security-Policy")!;
+        expect(policy).toContain("script-src 'self' https://cdn.jsdelivr.net/npm/monaco-editor@0.27.0/;");
+        expect(policy).toContain(`frame-src ${previewBase}`);
+        expect(policy).toContain("img-src 'self' data: blob: https:");
+    });
+});
+
+describe("websocket", () => {
+    test("pages of other origins don't get a socket", async () => {
+        await expect(Client.connect("", { Origin: "null" })).rejects.toBeDefined();
+        await expect(Client.connect("", { Origin: previewBase })).rejects.toBeDefined();
+        (await Client.connect("", { Origin: base })).close();
+    });
+
+    test("resume sends the files of the session's workspace", async () => {
+        const { cookie } = await visit();
+        const client = await Client.connect(cookie);
+
+        const resumed = await client.request("resume");
+        expect(resumed).toMatchObject({ version: protocolVersion, type: "resumed" });
+        expect(Object.keys(resumed.files)).toContain("script.ts");
+        expect(resumed.files["script.ts"].revision).toBe(0);
+        expect(resumed.assets).toEqual([]);
+        client.close();
+    });
+
+    test("malformed messages are answered with typed errors", async () => {
+        const { cookie } = await visit();
+        const client = await Client.connect(cookie);
+
+        client.sendRaw("{not json");
+        expect(await client.next((message) => message.type == "error")).toMatchObject({ code: "bad-message", message: "The message isn't JSON" });
+        client.sendRaw(JSON.stringify({ type: "resume", id: 7 }));
+        expect(await client.next((message) => message.replyTo == 7)).toMatchObject({ type: "error", code: "unsupported-version" });
+        expect(await client.request("format")).toMatchObject({ type: "error", code: "bad-message" });
+        expect(await client.request("operation", { file: "script.ts", revision: "0", operation: [] })).toMatchObject({
+            type: "error",
+            code: "bad-message",
+            message: "'revision' of a operation message has to be an integer",
+        });
+        expect(await client.request("snapshot", { snapshot: "nope" })).toMatchObject({ type: "error", code: "not-found" });
+
+        // The socket still works after all that.
+        expect((await client.request("resume")).type).toBe("resumed");
+        client.close();
+    });
+
+    test("a socket only ever edits the workspace of its session", async () => {
+        const mine = await visit();
+        const theirs = await visit();
+        const client = await Client.connect(mine.cookie);
+        const { files } = await client.request("resume");
+        const text: string = files["script.ts"].content.join("\n");
+
+        // A `user` field, as sent before there were sessions, is ignored.
+        const operation = new TextOperation().retain(text.length).insert("// mine\n");
+        expect(await client.request("operation", { user: theirs.workspaceId, file: "script.ts", revision: 0, operation })).toMatchObject({ type: "ack", file: "script.ts" });
+
+        const other = await Client.connect(theirs.cookie);
+        expect((await other.request("resume")).files["script.ts"].content.join("\n")).toBe(text);
+        expect((await client.request("resume")).files["script.ts"].content.join("\n")).toEndWith("// mine\n");
+
+        expect(await (await Client.connect()).request("resume")).toMatchObject({ type: "error", code: "no-workspace" });
+        client.close();
+        other.close();
+    });
+
+    test("edits reach the other editors and the preview", async () => {
+        const { cookie, workspaceId } = await visit();
+        const [editor, other] = [await Client.connect(cookie), await Client.connect(cookie)];
+        const text: string = (await editor.request("resume")).files["script.ts"].content.join("\n");
+        await other.request("resume");
+
+        const operation = new TextOperation().retain(text.length).insert('\nwrite("edited")\n');
+        expect(await editor.request("operation", { file: "script.ts", revision: 0, operation })).toMatchObject({ type: "ack", file: "script.ts" });
+
+        const received = await other.next((message) => message.type == "operation");
+        expect(received.file).toBe("script.ts");
+        expect(TextOperation.fromJSON(received.operation).apply(text)).toEndWith('write("edited")\n');
+
+        // Once saved and compiled, running reloads every preview with the new script.js.
+        await other.next((message) => message.type == "diagnostics");
+        editor.send("run");
+        await other.next((message) => message.type == "reload");
+        expect(await (await fetch(`${previewBase}/preview/${workspaceId}/script.js`)).text()).toContain('write("edited")');
+
+        editor.close();
+        other.close();
+    }, 30000);
+
+    test("an edit against an unknown revision is answered with the server's text", async () => {
+        const { cookie } = await visit();
+        const client = await Client.connect(cookie);
+        const text: string = (await client.request("resume")).files["script.ts"].content.join("\n");
+
+        const resync = await client.request("operation", { file: "script.ts", revision: 5, operation: new TextOperation().retain(text.length).insert("x") });
+        expect(resync).toMatchObject({ type: "resync", file: "script.ts", content: text.split("\n"), revision: 0 });
+        client.close();
+    });
+
+    test("invite links have a token of their own, which can be revoked", async () => {
+        const owner = await visit();
+        const client = await Client.connect(owner.cookie);
+        const join = async (path: string) => {
+            const response = await fetch(`${base}/join/${path}`, { redirect: "manual" });
+            if (response.status != 303) return undefined;
+            return (await visit(response.headers.get("set-cookie")!.split(";")[0])).workspaceId;
+        };
+
+        expect(await join(owner.workspaceId)).toBeUndefined();
+        const { token } = await client.request("invite");
+        expect(token).not.toBe(owner.workspaceId);
+        expect((await client.request("invite")).token).toBe(token);
+        expect(await join(token)).toBe(owner.workspaceId);
+
+        expect(await client.request("revokeInvite")).toMatchObject({ type: "inviteRevoked" });
+        expect(await join(token)).toBeUndefined();
+        const renewed = (await client.request("invite")).token;
+        expect(renewed).not.toBe(token);
+        expect(await join(renewed)).toBe(owner.workspaceId);
+        client.close();
+    });
+
+    test("forking a share into a workspace that is open updates its editors", async () => {
+        const sharer = await visit();
+        const author = await Client.connect(sharer.cookie);
+        const shared: string = (await author.request("resume")).files["script.ts"].content.join("\n");
+        await author.request("operation", { file: "script.ts", revision: 0, operation: new TextOperation().retain(shared.length).insert('write("shared")\n') });
+        const { token } = await author.request("share");
+        author.close();
+
+        const { cookie } = await visit();
+        const editor = await Client.connect(cookie);
+        const text: string = (await editor.request("resume")).files["script.ts"].content.join("\n");
+        editor.send("createFile", { file: "mine.ts" });
+        await editor.next((message) => message.type == "created");
+        await editor.request("operation", { file: "script.ts", revision: 0, operation: new TextOperation().retain(text.length).insert("// mine\n") });
+
+        expect((await fetch(`${base}/share/${token}/fork`, { method: "POST", headers: { cookie }, redirect: "manual" })).status).toBe(303);
+        expect(await editor.next((message) => message.type == "deleted")).toMatchObject({ file: "mine.ts" });
+        const replaced = await editor.next((message) => message.type == "operation" && message.file == "script.ts");
+        expect(TextOperation.fromJSON(replaced.operation).apply(text + "// mine\n")).toBe(shared + 'write("shared")\n');
+        await editor.next((message) => message.type == "reload");
+
+        const { files } = await editor.request("resume");
+        expect(Object.keys(files)).not.toContain("mine.ts");
+        expect(files["script.ts"]).toEqual({ content: (shared + 'write("shared")\n').split("\n"), revision: 2 });
+        editor.close();
+    }, 30000);
+
+    test("pasting a long file is recorded as a replacement of the whole file", async () => {
+        const { cookie } = await visit();
+        const client = await Client.connect(cookie);
+        const text: string = (await client.request("resume")).files["script.ts"].content.join("\n");
+
+        await client.request("operation", { file: "script.ts", revision: 0, operation: new TextOperation().retain(text.length).insert("\n// before") });
+        await client.next((message) => message.type == "snapshotAdded");
+        const before = `${text}\n// before`;
+
+        // A diff would only add lines after the ones already there.
+        const pasted = Array.from({ length: 20000 }, (_, i) => `\nwrite(${i});`).join("");
+        await client.request("operation", { file: "script.ts", revision: 1, operation: new TextOperation().retain(before.length).insert(pasted) });
+        const { snapshot } = await client.next((message) => message.type == "snapshotAdded");
+        expect(snapshot).toMatchObject({ file: "script.ts", added: before.split("\n").length + 20000, removed: before.split("\n").length });
+        client.close();
+    }, 30000);
+
+    test("files are created, renamed and deleted for every editor", async () => {
+        const { cookie } = await visit();
+        const [editor, other] = [await Client.connect(cookie), await Client.connect(cookie)];
+        await editor.request("resume");
+        await other.request("resume");
+
+        editor.send("createFile", { file: "player.ts" });
+        expect(await other.next((message) => message.type == "created")).toMatchObject({ file: "player.ts" });
+
+        editor.send("renameFile", { file: "player.ts", to: "enemy.ts" });
+        expect(await other.next((message) => message.type == "renamed")).toMatchObject({ file: "player.ts", to: "enemy.ts" });
+
+        editor.send("deleteFile", { file: "enemy.ts" });
+        expect(await other.next((message) => message.type == "deleted")).toMatchObject({ file: "enemy.ts" });
+
+        expect(await editor.request("createFile", { file: "../escape.ts" })).toMatchObject({ type: "error", code: "failed" });
+
+        editor.close();
+        other.close();
+    });
+});
@@ -0,0 +1,46 @@
+import { afterEach, expect, test } from "bun:test";
+import { compile } from "../src/compiler";
+import { decodeMappings, SourceMaps } from "../src/static/js/sourceMap.js";
+
+const base = "http://localhost:3201/preview/workspace/";
+const source = `let speed: number = 2;
+
+function move(x: number): number {
+    throw new Error("stuck");
+}
+`;
+const { output } = compile(source, "script.ts");
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+    globalThis.fetch = realFetch;
+});
+
+test("compiled files carry an inline source map", () => {
+    const map = JSON.parse(atob(output.match(/base64,(\S+)\s*$/)![1]));
+    expect(map.sources).toEqual(["script.ts"]);
+});
+
+test("decodes the mappings into segments of each line", () => {
+    expect(decodeMappings("AAAA,IAAI;;AAEJ")).toEqual([[[0, 0, 0, 0], [4, 0, 0, 4]], [], [[0, 0, 2, 0]]]);
+    expect(decodeMappings("gBAAgB")).toEqual([[[16, 0, 0, 16]]]);
+});
+
+test("locates a position of the compiled file in the TypeScript", async () => {
+    const requested: string[] = [];
+    globalThis.fetch = (async (url: string) => {
+        requested.push(url);
+        return new Response(output);
+    }) as typeof fetch;
+    const sourceMaps = new SourceMaps(base);
+
+    // `throw` is on the 3rd line of the output, the types are gone.
+    const line = output.split("\n").findIndex((text) => text.includes("throw")) + 1;
+    const column = output.split("\n")[line - 1].indexOf("throw") + 1;
+    expect(await sourceMaps.locate(`${base}script.js`, line, column)).toEqual({ file: "script.ts", line: 4, column: 5 });
+    await sourceMaps.locate(`${base}script.js`, 1, 1);
+    expect(requested).toEqual([`${base}script.js`]);
+
+    expect(await sourceMaps.locate("http://localhost:3201/other/script.js", 1, 1)).toBeNull();
+    expect(await sourceMaps.locate(`${base}balder.js`, 10, 2)).toEqual({ file: "balder.js", line: 10, column: 2 });
+});